@@ -1,5 +1,20 @@
 ﻿#target Photoshop
 
+/*
+// the eventid identifies this script in Actions, so that the settings it records
+// through app.playbackParameters are replayed with it
+<javascriptresource>
+<name>Photoshop Timeline Layer Resizer...</name>
+<eventid>9a24d86c-ba97-44e4-9db3-df0c0795b7b2</eventid>
+<terminology><![CDATA[<< /Version 1
+                         /Events <<
+                          /9a24d86c-ba97-44e4-9db3-df0c0795b7b2 [(Photoshop Timeline Layer Resizer) /noDirectParam <<
+                          >>]
+                         >>
+                      >> ]]></terminology>
+</javascriptresource>
+*/
+
 //
 ///////////////////////////////////////////////////////////////////////////////
 //
@@ -25,6 +40,12 @@
 // which the script can be run via File -> Scripts -> Photoshop Timeline Layer
 // Resizer
 //
+// The script also works on frame animation (the timeline's "Create Frame
+// Animation" mode). Select the animation frames instead of layers; the script
+// sets each frame's delay, playing the frames one after another in frame order.
+// The frames field then takes hundredths of a second, the units of a frame's
+// delay, and a stagger gap/overlap lengthens/shortens each frame's delay.
+//
 // For even faster access, you can create a keyboard shortcut to the script.
 // First copy the script to the PS script folder as instructed above and restart
 // PS. Then open the Actions panel and click + to create a new action. Assign an
@@ -36,6 +57,85 @@
 // complete the action recording. You can now access the script with the shortcut
 // key you assigned to it.
 //
+// The settings you choose in the dialog while an action is being recorded are
+// recorded into the action, so the action always replays with them. Turn on the
+// step's dialog toggle in the Actions panel to be shown the dialog on playback
+// instead. To run the script from another script, with its settings either in
+// an object or a presets file exported from the dialog (its first preset is used):
+//
+//   TimelineLayerResizerLibraryMode = true;
+//   $.evalFile(scriptsFolder + "/Photoshop Timeline Layer Resizer.jsx");
+//   runTimelineLayerResizer({ durationSeconds: 2, repositionLayers: 2 });
+//
+// Every selected layer is checked before any are changed. Locked and 3D layers
+// can't be changed; if any are selected, or a layer fails while it's being
+// changed, the whole run is undone and the problem layers are listed. Check
+// "Skip layers that fail" to change the other layers anyway. The list is only
+// shown when the script is run from its dialog, not when an Action plays it
+// back without the dialog or another script runs it. An Action played back
+// without the dialog stops with the problem when nothing could be changed.
+//
+// Layers that are already animated can have their keyframes moved along with
+// the change in duration - scaled in proportion to it, or kept the same distance
+// from the layer's out point or from whichever end they're nearer to (so a
+// fade-in and fade-out built once survive resizing). A layer shrunk so far that
+// two of its keyframes would land on the same frame is left as it is and
+// reported, since Photoshop would merge them.
+//
+// Besides setting the layers' durations, the "Relative extend/shrink" mode
+// extends (or shrinks, with a negative amount) each layer's in point, out point
+// or both ends, and "Trim to playhead" cuts the in or out points of the layers
+// under the playhead at the playhead. Both edit the layers where they are.
+//
+// The "Layer timing" buttons on the dialog's Timeline tab export the selected
+// layers' in points and durations to a .csv, .json or .edl file (picked by the
+// extension you give it), and import them back, matching rows to layers by name
+// or by stack position. A spreadsheet's CSV needs a header row naming its name, start
+// and end or duration columns; times can be frames or timecode. An EDL's events
+// are placed from the first one, since editing programs usually start the
+// record timecode at 01:00:00:00, unless you choose to place them at their
+// timecode. Events without a clip name, like black, are left out.
+//
+// Selected groups (including video groups) can be changed as they are, or
+// expanded into all of their layers or just the layers directly in them, so a
+// storyboard organized into groups is handled in one pass - staggering a video
+// group's layers lays them out one after another on its track. Groups can also
+// be moved as units, staggered as a whole with their layers keeping their
+// offsets from each other. Hidden and adjustment layers can be left out rather
+// than changed, except in groups moved as units, whose layers all move together.
+// The background layer is never on the timeline, so it's always left out.
+//
+// Layer names can carry their own timing in a tag, which overrides the dialog's
+// duration and stagger gap for that layer when "Use timing tags in layer names"
+// is checked: "Title [3s]", "Photo 04 [36f]" or "Intro [hold 2s gap 6f]" (a
+// negative gap overlaps the next layer). Untagged
+// layers use the dialog's settings. Tags can be kept, stripped from the names
+// once applied, or rewritten with the timing the layers were given. They're
+// not used when fitting to a span or extending/trimming in and out points.
+//
+// The Loop tab repeats the layers back-to-back, as duplicated layers, until
+// they fill the document duration or a length measured from the start of the
+// layers. Staggered passes keep the stagger gap between them, ping-pong passes
+// alternate the order of the layers, and the last copy can be trimmed to end
+// exactly on time. The copies are named after their layers with the pass
+// number ("Clip loop 2") and can be put into a group. The copies are plain
+// duplicates, the same as Layer -> Duplicate Layer: copies of a smart object
+// share its contents, but copies of any other layer are independent of it, so
+// convert the layers to smart objects first for copies that follow later edits.
+// The script doesn't convert them itself.
+//
+// The dialog's "Palette..." button opens a palette that stays open for
+// fine-tuning the selected layers - nudging them, extending or shrinking their
+// in/out points by a step, snapping their in/out points to the playhead and
+// re-applying the last-used settings. Each button press is its own step in
+// the History panel. The palette floats beside Photoshop's panels rather than
+// docking with them, and Photoshop stays usable while it's open, so you can
+// move the playhead or change the selected layers between button presses.
+//
+// The Timeline options fit the document duration and the work area to the
+// changed layers, and can move the playhead to the end of the layers so the
+// next batch of layers can be staggered after them.
+//
 // Layer stagger example:
 //
 // Before:
@@ -57,12 +157,114 @@
 
 const ScriptName = "Photoshop Timeline Layer Resizer";
 const ScriptVersion = "V1.00"
+const ScriptFilePath = $.fileName; // for loading the script again to run the palette's changes (see sendScriptToPhotoshop)
+
+// values returned by getTimelineKind
+const TIMELINE_KIND_NONE                        = 0;
+const TIMELINE_KIND_VIDEO                       = 1;
+const TIMELINE_KIND_FRAME_ANIMATION             = 2;
+
+// values of the "layerKind" key of a layer's descriptor, for the kinds of layers the timeline
+// actions this script uses can't change
+const LAYER_KIND_ADJUSTMENT                     = 2;
+const LAYER_KIND_3D                             = 8;
+
+// frame animation delays are in hundredths of a second, so for frame animation the script
+// works in those units the way it works in frames for a video timeline
+const FrameAnimationDelayUnitsPerSecond = 100;
 
 // values for userSettings.repositionLayers
 const REPOSITION_LAYERS_NONE                    = 0;
 const REPOSITION_LAYERS_AT_PLAYHEAD             = 1;
-const REPOSITION_LAYERS_STAGGER_TOP_FIRST       = 2;
-const REPOSITION_LAYERS_STAGGER_BOTTOM_FIRST    = 3;
+const REPOSITION_LAYERS_STAGGER                 = 2;
+const REPOSITION_LAYERS_STAGGER_BOTTOM_FIRST    = 3; // older settings only. loaded as REPOSITION_LAYERS_STAGGER + LAYER_ORDER_REVERSE_STACK
+const REPOSITION_LAYERS_SYNC_TO_AUDIO           = 4;
+
+// values for userSettings.layerOrder. order matches the UI's dropdown list
+const LAYER_ORDER_STACK                         = 0;
+const LAYER_ORDER_REVERSE_STACK                 = 1;
+const LAYER_ORDER_NAME                          = 2;
+const LAYER_ORDER_NUMERIC_SUFFIX                = 3;
+const LAYER_ORDER_RANDOM                        = 4;
+
+// values for userSettings.durationMode. order matches the UI's dropdown list
+const DURATION_MODE_SET                         = 0;
+const DURATION_MODE_KEEP_EXISTING               = 1;
+const DURATION_MODE_SCALE                       = 2;
+const DURATION_MODE_FIT_SPAN                    = 3;
+const DURATION_MODE_RELATIVE                    = 4; // in/out points moved by a delta, wherever the layers are
+const DURATION_MODE_TRIM_TO_PLAYHEAD            = 5; // in or out points of the layers under the playhead cut at it
+
+// values for userSettings.relativeEdge and userSettings.trimEdge. order matches the UI's dropdown lists
+const LAYER_EDGE_OUT                            = 0;
+const LAYER_EDGE_IN                             = 1;
+const LAYER_EDGE_BOTH                           = 2; // relative mode only. the delta is split between the ends, keeping the center
+
+// values for userSettings.fitSpanTarget. order matches the UI's dropdown list
+const FIT_SPAN_TARGET_TIME                      = 0;
+const FIT_SPAN_TARGET_WORK_AREA_END             = 1;
+const FIT_SPAN_TARGET_DOCUMENT_END              = 2;
+
+// values for userSettings.staggerCurve. order matches the UI's dropdown list
+const STAGGER_CURVE_LINEAR                      = 0;
+const STAGGER_CURVE_EASE_IN                     = 1;
+const STAGGER_CURVE_EASE_OUT                    = 2;
+const STAGGER_CURVE_EASE_IN_OUT                 = 3;
+const STAGGER_CURVE_EXPONENTIAL                 = 4;
+
+// values for userSettings.keyframeMode. order matches the UI's dropdown list
+const KEYFRAMES_LEAVE                           = 0;
+const KEYFRAMES_SCALE                           = 1; // times scaled in proportion to the change in duration
+const KEYFRAMES_ANCHOR_OUT                      = 2; // kept the same distance from the out point
+const KEYFRAMES_ANCHOR_NEAREST                  = 3; // kept the same distance from the in or out point, whichever is nearer
+
+// values for userSettings.documentDuration. order matches the UI's dropdown list
+const DOCUMENT_DURATION_KEEP                    = 0;
+const DOCUMENT_DURATION_EXTEND                  = 1; // only lengthened, when the layers run past the end
+const DOCUMENT_DURATION_FIT                     = 2; // lengthened or shortened to end with the layers
+
+// values for userSettings.overlapTransition. order matches the UI's dropdown list
+const OVERLAP_TRANSITION_NONE                   = 0;
+const OVERLAP_TRANSITION_CROSS_FADE             = 1;
+const OVERLAP_TRANSITION_FADE                   = 2;
+const OVERLAP_TRANSITION_FADE_WITH_BLACK        = 3;
+const OVERLAP_TRANSITION_FADE_WITH_WHITE        = 4;
+
+// what the looped layers fill, when looping them
+const LOOP_TARGET_DOCUMENT_END                  = 0;
+const LOOP_TARGET_LENGTH                        = 1; // a length measured from the start of the layers
+
+// order of the layers in each pass of a loop
+const LOOP_DIRECTION_FORWARD                    = 0;
+const LOOP_DIRECTION_PING_PONG                  = 1; // alternate passes place the layers in reverse order
+
+// how selected groups (including video groups) are handled
+const GROUPS_AS_SELECTED                        = 0; // changed as they are, as a single layer
+const GROUPS_CHILDREN                           = 1; // every layer in the groups, and in the groups within them
+const GROUPS_CHILDREN_ONE_LEVEL                 = 2; // only the layers directly in the groups
+const GROUPS_AS_UNITS                           = 3; // each group moved as one, keeping its layers' offsets from each other
+
+// what's done to the timing tags in layer names once they've been applied
+const LAYER_NAME_TAGS_KEEP                      = 0;
+const LAYER_NAME_TAGS_STRIP                     = 1;
+const LAYER_NAME_TAGS_REWRITE                   = 2; // rewritten with the timing the layer was given
+
+// changes the palette's buttons send to Photoshop (see runPaletteCommand)
+const PALETTE_COMMAND_NUDGE_LEFT                = 0;
+const PALETTE_COMMAND_NUDGE_RIGHT               = 1;
+const PALETTE_COMMAND_EXTEND_IN_POINT           = 2;
+const PALETTE_COMMAND_SHRINK_IN_POINT           = 3;
+const PALETTE_COMMAND_SHRINK_OUT_POINT          = 4;
+const PALETTE_COMMAND_EXTEND_OUT_POINT          = 5;
+const PALETTE_COMMAND_IN_POINT_TO_PLAYHEAD      = 6;
+const PALETTE_COMMAND_OUT_POINT_TO_PLAYHEAD     = 7;
+const PALETTE_COMMAND_REAPPLY                   = 8; // re-apply the last-used settings
+
+// most layer copies a loop can make, so a mistyped length can't bury the document in copies
+const LoopMaxCopies = 500;
+
+// thrown by probeLayerTimelineRange() when it leaves a layer changed, so the caller undoes the history step it was in
+const LayerRangeProbeFailedMessage = "the document didn't grow to take in a layer moved to find its in point, so the layer couldn't be put back as it was";
 
 
 /**
@@ -137,6 +339,112 @@ function makeLayerActiveByIndex(index) {
 };
 
 
+/**
+ * Gets the name of a layer
+ * @param layerIndex Index of layer
+ * @return Layer name
+ */
+function getLayerNameByIndex(layerIndex) {
+    var ref = new ActionReference();
+    ref.putProperty(charIDToTypeID("Prpr"), charIDToTypeID("Nm  "));
+    ref.putIndex(charIDToTypeID("Lyr "), layerIndex);
+    return executeActionGet(ref).getString(charIDToTypeID("Nm  "));
+}
+
+
+/**
+ * Renames a layer
+ * @param layerIndex Index of layer
+ * @param name New name
+ */
+function setLayerNameByIndex(layerIndex, name) {
+    var ref = new ActionReference();
+    ref.putIndex(charIDToTypeID("Lyr "), layerIndex);
+    var descName = new ActionDescriptor();
+    descName.putString(charIDToTypeID("Nm  "), name);
+    var desc = new ActionDescriptor();
+    desc.putReference(charIDToTypeID("null"), ref);
+    desc.putObject(charIDToTypeID("T   "), charIDToTypeID("Lyr "), descName);
+    executeAction(charIDToTypeID("setd"), desc, DialogModes.NO);
+}
+
+
+/**
+ * Gets the unique ID of a layer, which unlike its index doesn't change as layers are added
+ * @param layerIndex Index of layer
+ * @return Layer ID
+ */
+function getLayerIdByIndex(layerIndex) {
+    var ref = new ActionReference();
+    ref.putProperty(charIDToTypeID("Prpr"), stringIDToTypeID("layerID"));
+    ref.putIndex(charIDToTypeID("Lyr "), layerIndex);
+    return executeActionGet(ref).getInteger(stringIDToTypeID("layerID"));
+}
+
+
+/**
+ * Gets the unique ID of the active layer
+ * @return Layer ID
+ */
+function getActiveLayerId() {
+    var ref = new ActionReference();
+    ref.putProperty(charIDToTypeID("Prpr"), stringIDToTypeID("layerID"));
+    ref.putEnumerated(charIDToTypeID("Lyr "), charIDToTypeID("Ordn"), charIDToTypeID("Trgt"));
+    return executeActionGet(ref).getInteger(stringIDToTypeID("layerID"));
+}
+
+
+/**
+ * Selects layers, using the IDs in specified array
+ * @param layerIds Array containing IDs of layers to select (see getLayerIdByIndex)
+ */
+function selectLayersByIds(layerIds) {
+    var ref = new ActionReference();
+    for (var i=0; i<layerIds.length; i++)
+        ref.putIdentifier(charIDToTypeID("Lyr "), layerIds[i]);
+    var desc = new ActionDescriptor();
+    desc.putReference(charIDToTypeID("null"), ref);
+    desc.putBoolean(charIDToTypeID("MkVs"), false);
+    executeAction(charIDToTypeID("slct"), desc, DialogModes.NO);
+}
+
+
+/**
+ * Duplicates the active layer, the same as Layer -> Duplicate Layer. The copy keeps the
+ * layer's timing and keyframes, is placed just above it and becomes the active layer.
+ * Copies of a smart object share its contents. Copies of other layers are independent of them
+ * @param name Name for the copy
+ */
+function duplicateActiveLayer(name) {
+    var ref = new ActionReference();
+    ref.putEnumerated(charIDToTypeID("Lyr "), charIDToTypeID("Ordn"), charIDToTypeID("Trgt"));
+    var desc = new ActionDescriptor();
+    desc.putReference(charIDToTypeID("null"), ref);
+    desc.putString(charIDToTypeID("Nm  "), name);
+    executeAction(charIDToTypeID("Dplc"), desc, DialogModes.NO);
+}
+
+
+/**
+ * Puts the selected layers into a new group, the same as Layer -> Group Layers. On a
+ * video timeline the group becomes a video group, and its layers keep their timing
+ * @param name Name for the group
+ */
+function groupSelectedLayers(name) {
+    var ref = new ActionReference();
+    ref.putClass(stringIDToTypeID("layerSection"));
+    var refFrom = new ActionReference();
+    refFrom.putEnumerated(charIDToTypeID("Lyr "), charIDToTypeID("Ordn"), charIDToTypeID("Trgt"));
+    var descGroup = new ActionDescriptor();
+    descGroup.putString(charIDToTypeID("Nm  "), name);
+    var desc = new ActionDescriptor();
+    desc.putReference(charIDToTypeID("null"), ref);
+    desc.putReference(charIDToTypeID("From"), refFrom);
+    desc.putObject(charIDToTypeID("Usng"), stringIDToTypeID("layerSection"), descGroup);
+    executeAction(charIDToTypeID("Mk  "), desc, DialogModes.NO);
+}
+
+
 /**
  * Retrieves the current timeline framerate from PS
  * @return Current timeline framerate (double)
@@ -150,6 +458,22 @@ function getTimelineFrameRate() {
 }
 
 
+/**
+ * Creates a "timecode" descriptor, which is how Photoshop's timeline actions
+ * express a time value or offset
+ * @param seconds Number of seconds
+ * @param frames Number of frames
+ * @return ActionDescriptor for the timecode
+ */
+function createTimecodeDescriptor(seconds, frames) {
+    var descTimecode = new ActionDescriptor();
+    descTimecode.putInteger(stringIDToTypeID("seconds"), seconds);
+    descTimecode.putInteger(stringIDToTypeID( "frame"), frames);
+    descTimecode.putDouble(stringIDToTypeID("frameRate"), getTimelineFrameRate());
+    return descTimecode;
+}
+
+
 /**
  * Performs a relative time-adjustment action on the active layer. Supported
  * actions are:
@@ -162,13 +486,8 @@ function getTimelineFrameRate() {
  */
 function layerTimelineRelativeAction(moveOperationStr, seconds, frames) {
 
-    var descTimeOffset = new ActionDescriptor();
-    descTimeOffset.putInteger(stringIDToTypeID("seconds"), seconds);
-    descTimeOffset.putInteger(stringIDToTypeID( "frame"), frames);
-    descTimeOffset.putDouble(stringIDToTypeID("frameRate"), getTimelineFrameRate());
-
     var descMove = new ActionDescriptor();
-    descMove.putObject(stringIDToTypeID("timeOffset"), stringIDToTypeID("timecode"), descTimeOffset);
+    descMove.putObject(stringIDToTypeID("timeOffset"), stringIDToTypeID("timecode"), createTimecodeDescriptor(seconds, frames));
 
     executeAction(stringIDToTypeID(moveOperationStr), descMove, DialogModes.NO);
 }
@@ -211,9 +530,39 @@ function moveLayerRelative(seconds, frames) {
 }
 
 
+/**
+ * Adds a timeline transition to the active layer's in or out point, the same as
+ * dragging a transition from the timeline's transition menu onto the layer
+ * @param overlapTransition One of the OVERLAP_TRANSITION_* values (other than NONE)
+ * @param fAtInPoint true to place the transition at the layer's in point, false for its out point
+ * @param durationInFrames Duration of the transition
+ */
+function addTransitionToActiveLayer(overlapTransition, fAtInPoint, durationInFrames) {
+
+    var transitionClassStr;
+    switch (overlapTransition) {
+    case OVERLAP_TRANSITION_CROSS_FADE:         transitionClassStr = "crossFade"; break;
+    case OVERLAP_TRANSITION_FADE:               transitionClassStr = "fade"; break;
+    case OVERLAP_TRANSITION_FADE_WITH_BLACK:    transitionClassStr = "fadeWithBlack"; break;
+    case OVERLAP_TRANSITION_FADE_WITH_WHITE:    transitionClassStr = "fadeWithWhite"; break;
+    default:
+        throw "Unknown overlap transition value of " + overlapTransition;
+    }
+
+    var descTransition = new ActionDescriptor();
+    descTransition.putObject(stringIDToTypeID("duration"), stringIDToTypeID("timecode"), createTimecodeDescriptor(0, durationInFrames));
+    descTransition.putEnumerated(stringIDToTypeID("placement"), stringIDToTypeID("placement"), stringIDToTypeID(fAtInPoint ? "start" : "end"));
+
+    var descAdd = new ActionDescriptor();
+    descAdd.putObject(stringIDToTypeID("using"), stringIDToTypeID(transitionClassStr), descTransition);
+
+    executeAction(stringIDToTypeID("addTransition"), descAdd, DialogModes.NO);
+}
+
+
 /**
   * Gets the current position of the playhead
-  * @return Position of the playhead (in frames)
+  * @return Position of the playhead (in frames). Can be fractional at NTSC-style framerates
   */
 function getPlayheadPosFrame() {
     var ref = new ActionReference();
@@ -225,301 +574,5123 @@ function getPlayheadPosFrame() {
 
 
 /**
- * Entry point into action portion of script, called after the user settings
- * have been obtained in the UI portion of the script
- * @param userSettings Objects describing action and paramters to perform
+ * Gets a timecode property of the timeline, ex: "duration"
+ * @param propertyStr String ID of the property
+ * @return Value of the property, in frames
  */
-function scriptActionMain(userSettings) {
+function getTimelineTimecodeProperty(propertyStr) {
+    var ref = new ActionReference();
+    ref.putProperty(charIDToTypeID('Prpr'), stringIDToTypeID(propertyStr));
+    ref.putClass(stringIDToTypeID('timeline'));
+    var desc = executeActionGet(ref);
+    return timecodeDescriptorToFrames(desc.getObjectValue(stringIDToTypeID(propertyStr)), getTimelineFrameRate());
+}
 
-    //
-    // There is a dearth of documentation regarding available methods to query and
-    // change elements on the Photoshop timeline. After multiple web searches and
-    // lots of experimentation I was able to establish methods to change the
-    // duration and position but not query the existing duration or position of layers.
-    //
-    // Unfortunately the methods available to change the duration/position are
-    // relative to their existing position only, so we have to use creative methods to
-    // achieve what we need. For duration, the "moveInTime" and "moveOutTime" actions let
-    // us change the in/out points of a frame relative to their current in/out points (ie,
-    // subtract a seconds/frame value to extend the existing in point left, or add a
-    // seconds/frame value to extend the existing out point right). Since we we can't query
-    // a layer's existing in/out points (ie, position) these methods aren't useful for
-    // setting the duration to an absolute value. However there's a workaround - if we
-    // use "moveOutTime" and specify a very large negative number, we force the out time
-    // to be less than the in time - in response, Photoshop will force the out point of the
-    // layer to be one frame after the in point, which means this method sets the layer's
-    // duration to exactly one frame, starting at the layer's existing in point. We can
-    // then use "moveOutTime" with a positive value equal to the absolute duration
-    // we want. This workaround allows us to set a layer's duration without changing
-    // its position.
-    //
-    // For position there's the "moveAllTime" action, which lets us alter a layer's position
-    // but like "moveInTime" and "moveOutTime" it only works on a relative basis, and
-    // since we can't query the layer's existing position it is not useful by itself for
-    // moving a clip to an absolute timeline location. If we want to change both a
-    // layer's duration and position we first use "moveInTime" with a very large negative
-    // number, which Photoshop will adjust so the in point doesn't go negative, meaning it
-    // sets the in point to 0. We then use "moveOutTime" to set the layer to the desired
-    // duration. Finally, we use "moveAllTime" to move the layer to the desired absolute
-    // location (made possible using relative positioning since adjusting the point moved
-    // the clip's starting position to frame 0)
-    //
-    // Note we have no way to set a layer's position without also setting its duration,
-    // since the only method we have to move a layer is to change its in/out points as
-    // described above, which means we'll change the layer's original duration with no
-    // way to get that duration back.
-    //
 
-    var selectedLayersIndexes = getSelectedLayersIndexes(true); // UI already verified there's at least one layer selected
+/**
+ * Gets the total duration of the timeline (ie, the document duration)
+ * @return Duration of timeline, in frames
+ */
+function getTimelineDurationInFrames() {
+    return getTimelineTimecodeProperty("duration");
+}
 
-    try {
-        if (userSettings.repositionLayers == REPOSITION_LAYERS_NONE) {
-            //
-            // user only wants layer durations to be set, with no change to the layers' positions.
-            //
-            for (var index=0; index < selectedLayersIndexes.length; index++) {
-                makeLayerActiveByIndex(selectedLayersIndexes[index]);
-                moveLayerOutPointRelative(-1000000, 0);
-                // note we use durationFrames -1 because the seconds/frames count is added to current duration, which we set above to 1 frame
-                moveLayerOutPointRelative(userSettings.durationSeconds, userSettings.durationFrames - 1);
-            }
-        } else {
-            //
-            // user wants to change layer durations and reposition the layers. we position the first layer starting
-            // at the playhead position
-            //
-            var firstLayerIndex, lastLayerIndexExclusive, layerIndexLoopIncrement;
-            var nextLayerPosFrame = getPlayheadPosFrame();
-            var layerDurationInFrames = userSettings.durationSeconds * getTimelineFrameRate() + userSettings.durationFrames;
-            var framePosAddEachLayer;
-
-            switch (userSettings.repositionLayers) {
-            case REPOSITION_LAYERS_AT_PLAYHEAD:
-            case REPOSITION_LAYERS_STAGGER_BOTTOM_FIRST:
-                firstLayerIndex = 0;
-                lastLayerIndexExclusive = selectedLayersIndexes.length;
-                layerIndexLoopIncrement = 1;
-                framePosAddEachLayer = (userSettings.repositionLayers == REPOSITION_LAYERS_AT_PLAYHEAD ? 0 : layerDurationInFrames);
-                break;
-            case REPOSITION_LAYERS_STAGGER_TOP_FIRST:
-                firstLayerIndex = selectedLayersIndexes.length-1;
-                lastLayerIndexExclusive = -1;
-                layerIndexLoopIncrement = -1;
-                framePosAddEachLayer = layerDurationInFrames;
-                break;
-            default:
-                throw "Unknown userSettings.repositionLayers value of " + userSettings.repositionLayers;
-            }
 
-            for (var index=firstLayerIndex; index != lastLayerIndexExclusive; index += layerIndexLoopIncrement, nextLayerPosFrame += framePosAddEachLayer) {
-                makeLayerActiveByIndex(selectedLayersIndexes[index]);
-                moveLayerInPointRelative(-1000000, 0);
-                moveLayerOutPointRelative(-1000000, 0);
-                // note we use durationFrames -1 because the seconds/frames count is added to current duration, which we set above to 1 frame
-                moveLayerOutPointRelative(userSettings.durationSeconds, userSettings.durationFrames - 1);
-                moveLayerRelative(0, nextLayerPosFrame);
-            }
-        }
-    } catch(e) {
-        alert("Error setting duration or position of a layer. Perhaps you don't have a video timeline created yet? Or have it set to frame animation (not supported) instead of layer animation?", ScriptName);
-        return;
-    }
+/**
+ * Gets the end of the timeline's work area
+ * @return Position of the end of the work area, in frames
+ */
+function getTimelineWorkAreaEndFrame() {
+    return getTimelineTimecodeProperty("workOutTime");
+}
 
-    // restore the user's layer selections
-    selectLayersByIndexes(selectedLayersIndexes);
+
+/**
+ * Sets a timecode property of the timeline, ex: "duration"
+ * @param propertyStr String ID of the property
+ * @param frames New value of the property, in frames
+ */
+function setTimelineTimecodeProperty(propertyStr, frames) {
+    var ref = new ActionReference();
+    ref.putProperty(charIDToTypeID('Prpr'), stringIDToTypeID(propertyStr));
+    ref.putClass(stringIDToTypeID('timeline'));
+    var desc = new ActionDescriptor();
+    desc.putReference(charIDToTypeID("null"), ref);
+    desc.putObject(charIDToTypeID("T   "), stringIDToTypeID("timecode"), createTimecodeDescriptor(0, frames));
+    executeAction(charIDToTypeID("setd"), desc, DialogModes.NO);
 }
 
 
-/////////////////////////////////////////////////////////////////////////////
-/////////////////////////////////////////////////////////////////////////////
-//
-// User-Interface portion of script
-//
-/////////////////////////////////////////////////////////////////////////////
-/////////////////////////////////////////////////////////////////////////////
+/**
+ * Sets the total duration of the timeline (ie, the document duration)
+ * @param durationInFrames New duration of timeline, in frames
+ */
+function setTimelineDurationInFrames(durationInFrames) {
+    setTimelineTimecodeProperty("duration", durationInFrames);
+}
 
-const UserSettingsDataVersion = 1;
 
 /**
- * Creates user settings object with default values
- * @return User settings object
+ * Sets the timeline's work area
+ * @param inFrame Position of the start of the work area, in frames
+ * @param outFrame Position of the end of the work area, in frames
  */
-function getDefaultUserSettings() {
-    var userSettings = new Object();
-    userSettings.dataVersion = UserSettingsDataVersion;
-    userSettings.durationSeconds = 1;
-    userSettings.durationFrames = 0;
-    userSettings.repositionLayers = REPOSITION_LAYERS_NONE;
-    return userSettings;
+function setTimelineWorkArea(inFrame, outFrame) {
+    // the start is set last because Photoshop won't let it go past the existing end of the work area
+    setTimelineTimecodeProperty("workOutTime", outFrame);
+    setTimelineTimecodeProperty("workInTime", inFrame);
 }
 
+
 /**
- * Creates file object for user settings config file. We use Photoshop's
- * Folder.appData folder, which should point to a reasonable location
- * to store user-specific data. On Windows this is in %systemdrive%\ProgramData
- * @return File object
+  * Moves the playhead
+  * @param frame New position of the playhead, in frames
+  */
+function setPlayheadPosFrame(frame) {
+    setTimelineTimecodeProperty("time", frame);
+}
+
+
+/**
+ * Converts a "timecode" descriptor (the same seconds/frame/frameRate object we pass
+ * to the move actions) into a frame count
+ * @param descTimecode Timecode descriptor
+ * @param frameRate Timeline framerate (double), used if the descriptor doesn't carry its own
+ * @return Number of frames represented by the timecode
  */
-function createConfigFileObj() {
-    return new File(Folder.appData + "/" + ScriptName + "Config.txt");
+function timecodeDescriptorToFrames(descTimecode, frameRate) {
+    var seconds = 0, frames = 0;
+    if (descTimecode.hasKey(stringIDToTypeID("seconds")))
+        seconds = descTimecode.getInteger(stringIDToTypeID("seconds"));
+    if (descTimecode.hasKey(stringIDToTypeID("frame")))
+        frames = descTimecode.getInteger(stringIDToTypeID("frame"));
+    if (descTimecode.hasKey(stringIDToTypeID("frameRate")))
+        frameRate = descTimecode.getDouble(stringIDToTypeID("frameRate"));
+    return secondsAndFramesToFrames(seconds, frames, getFrameRateInfo(frameRate));
 }
 
+
 /**
- * Loads user settings from config file, stored from previous invocation
- * of this script. If no previous settings are available then defaults are returned
+ * Gets the existing in point, out point and duration of a layer on the timeline. Newer
+ * versions of Photoshop expose these as "inTime"/"outTime" timecode objects on the layer
+ * descriptor; older versions don't expose them at all, in which case they're worked out
+ * by moving the layer and putting it back (see probeLayerTimelineRange), if allowed
+ * @param layerIndex Index of layer to query
+ * @param fProbe true to work out the layer's timing by moving it if Photoshop doesn't report it. This
+ *  changes the document, so it's only allowed within the history step of the changes it's for
+ * @return Object with inFrame, outFrame (exclusive) and durationInFrames, or null if
+ * Photoshop doesn't make the layer's timing available and it couldn't (or mustn't) be worked out
  */
-function loadUserSettingsFromConfigFile() {
-    var fileConfig = createConfigFileObj();
+function getLayerTimelineRange(layerIndex, fProbe) {
+    var ref = new ActionReference();
+    ref.putIndex(charIDToTypeID("Lyr "), layerIndex);
+    var desc = executeActionGet(ref);
+    if (!desc.hasKey(stringIDToTypeID("inTime")) || !desc.hasKey(stringIDToTypeID("outTime")))
+        return (fProbe ? probeLayerTimelineRange(layerIndex) : null);
+    var frameRate = getTimelineFrameRate();
+    var range = new Object();
+    range.inFrame = timecodeDescriptorToFrames(desc.getObjectValue(stringIDToTypeID("inTime")), frameRate);
+    range.outFrame = timecodeDescriptorToFrames(desc.getObjectValue(stringIDToTypeID("outTime")), frameRate);
+    range.durationInFrames = range.outFrame - range.inFrame;
+    return range;
+}
+
+
+/**
+ * Works out a layer's in and out points for versions of Photoshop that don't report them,
+ * using the only timing Photoshop does report, the document duration, which grows to take
+ * in a layer moved past the end of the document. The layer is moved ("moveAllTime") past
+ * the end and the new end of the document is its out point, less the distance it was moved.
+ * It's moved back, cut down to one frame at its in point ("moveOutTime"), and moved past the
+ * end again, which gives its in point the same way. Then it's moved back, its out point is
+ * put back where it was and the document duration is set back if it changed. Each move is
+ * checked to have grown the document past where it moved the layer to, since the in/out points
+ * would be wrong otherwise. If Photoshop fails part way, the layer is still moved back to where
+ * it was. The selected layers are left as they were
+ * @param layerIndex Index of layer to query
+ * @return Range object (see getLayerTimelineRange), or null if the document duration doesn't
+ *  follow the layer, in which case the layer is left as it was. Throws LayerRangeProbeFailedMessage
+ *  if the document stops following the layer once it's been cut down, when its out point can't be put
+ *  back, so the caller has to undo the history step it's in
+ */
+function probeLayerTimelineRange(layerIndex) {
+    var selectedLayersIndexes = getSelectedLayersIndexes(true);
+    var documentDurationInFrames = getTimelineDurationInFrames();
+    // far enough that the layer ends past the end of the document, whatever its in point
+    var probeOffsetInFrames = documentDurationInFrames + 1;
+    var movedInFrames = 0; // how far the layer is from where it was
+    var outFrame = null;
+    var inFrame = null;
+    var fCutDown = false;
+
+    // moves the layer past the end of the document and back, returning where the end of the layer was, or
+    // null if the document didn't grow to take it in. the layer is at least a frame long, so it ends past the offset
+    var getLayerEndFrame = function() {
+        moveLayerRelative(0, probeOffsetInFrames);
+        movedInFrames = probeOffsetInFrames;
+        var grownDurationInFrames = getTimelineDurationInFrames();
+        var endFrame = (grownDurationInFrames > probeOffsetInFrames ? grownDurationInFrames - probeOffsetInFrames : null);
+        moveLayerRelative(0, -probeOffsetInFrames);
+        movedInFrames = 0;
+        if (getTimelineDurationInFrames() != documentDurationInFrames)
+            setTimelineDurationInFrames(documentDurationInFrames);
+        return endFrame;
+    };
+
+    makeLayerActiveByIndex(layerIndex);
+    var photoshopError = null;
     try {
-        fileConfig.open("r");
-        if (fileConfig.error == "") {
-            var userSettings = getDefaultUserSettings(); // get default settings so we can match property names from config file
-            for(;;) {
-                var line = fileConfig.readln();
-                if (fileConfig.error != "")
-                    break;
-                var fields = line.split(':');
-                var prop = fields[0];
-                var value = fields[1];
-                if (prop in userSettings) // make sure value from file is a setting we know about
-                    userSettings[prop] = value;
-                else
-                    throw "unknown property"; // caught below
-            }
-            fileConfig.close();
-            if (userSettings.dataVersion == UserSettingsDataVersion)
-                return userSettings;
-            // else mismatched version of user settings (older/newer script creatd them). use defaults
+        outFrame = getLayerEndFrame();
+        if (outFrame != null) {
+            moveLayerOutPointRelative(-1000000, 0);
+            fCutDown = true;
+            // the layer is now one frame long
+            var endFrame = getLayerEndFrame();
+            if (endFrame != null && endFrame <= outFrame)
+                inFrame = endFrame - 1;
         }
     } catch(e) {
-        // config file not created yet or some error in opening/reading it
-        $.writeln('hello');
+        photoshopError = e;
+    }
+    // put the layer back whether or not Photoshop failed part way
+    try {
+        if (movedInFrames != 0)
+            moveLayerRelative(0, -movedInFrames);
+        if (fCutDown && inFrame != null && outFrame > inFrame + 1)
+            moveLayerOutPointRelative(0, outFrame - inFrame - 1);
+        if (getTimelineDurationInFrames() != documentDurationInFrames)
+            setTimelineDurationInFrames(documentDurationInFrames);
+    } finally {
+        selectLayersByIndexes(selectedLayersIndexes);
     }
-    return getDefaultUserSettings();
+    if (fCutDown && inFrame == null)
+        throw LayerRangeProbeFailedMessage;
+    if (photoshopError != null)
+        throw photoshopError;
+    if (inFrame == null)
+        return null;
+    var range = new Object();
+    range.inFrame = inFrame;
+    range.outFrame = outFrame;
+    range.durationInFrames = outFrame - inFrame;
+    return range;
 }
 
 
 /**
- * Saves user settings to config file, so they can be used as defaults
- * on next invocation of this script
- * @param userSettings User settings object
+ * Checks whether a layer can be changed on the timeline, so that problems are found before
+ * any layer is changed
+ * @param layerIndex Index of layer to check
+ * @return Description of why the layer can't be changed, or null if it can
  */
-function saveUserSettingsToConfigFile(userSettings) {
-    var fileConfig = createConfigFileObj();
-    try {
-        fileConfig.open("w");
-        for (var prop in userSettings)
-            fileConfig.writeln(prop + ":" + userSettings[prop]);
-        fileConfig.close();
-    } catch(e) {
-        // error saving user settings. preserving settings is a want rather than
-        // need, so no real purpose in reporting this error to the user, esp if
-        // the issue occurs every time they execute the script
+function getLayerTimelineProblem(layerIndex) {
+    var ref = new ActionReference();
+    ref.putIndex(charIDToTypeID("Lyr "), layerIndex);
+    var desc = executeActionGet(ref);
+    if (desc.hasKey(stringIDToTypeID("layerKind")) && desc.getInteger(stringIDToTypeID("layerKind")) == LAYER_KIND_3D)
+        return "3D layers aren't supported";
+    if (desc.hasKey(stringIDToTypeID("layerLocking"))) {
+        var descLocking = desc.getObjectValue(stringIDToTypeID("layerLocking"));
+        if (descLocking.hasKey(stringIDToTypeID("protectAll")) && descLocking.getBoolean(stringIDToTypeID("protectAll")))
+            return "the layer is locked";
     }
+    return null;
 }
 
+
 /**
- * Entry point for user-interface
+ * Determines if a layer is a group (or video group)
+ * @param layerIndex Index of layer
+ * @return true if the layer is a group
  */
-function uiMain() {
+function isLayerGroupByIndex(layerIndex) {
+    var ref = new ActionReference();
+    ref.putIndex(charIDToTypeID("Lyr "), layerIndex);
+    var desc = executeActionGet(ref);
+    return (desc.hasKey(stringIDToTypeID("layerSection")) &&
+        typeIDToStringID(desc.getEnumerationValue(stringIDToTypeID("layerSection"))) == "layerSectionStart");
+}
 
-    /**
-      * Validates user text entry as an integer number, presenting an error dialog for invalid values
-      * @param entryText User's text entry
-      * @param entryTextDescription Description of entry, used for error messsage if value is invalid
-      * @return false if value is valid, true otherwise
-      */
-    function validateNumberEntry(entryText, entryTextDescription) {
-        if (isNaN(parseInt(entryText))) {
-            alert("Invalid value for " + entryTextDescription + ". Value must a whole number.", ScriptName);
-            return true;
-        }
-        return false;
-    }
 
-    // resource string defining our script's UI dialog.
-    // modeled from https://www.davidebarranca.com/2012/10/scriptui-window-in-photoshop-palette-vs-dialog/
-    var windowResource = "dialog {  \
-        orientation: 'column', \
-        alignChildren: ['fill', 'top'],  \
-        preferredSize:[330, 260], \
-        text: 'Photoshop Timeline Layer Resizer',  \
-        margins:15, \
-        panelDuration: Panel { \
-            orientation: 'row', \
-            alignChildren: 'right', \
-            margins:15, \
-            text: ' Layer Duration ', \
-            stDuration: StaticText { text: 'Seconds:' }, \
-            etDurationSeconds: EditText { text: '0', characters: 5, justify: 'left'} \
-            stDuration: StaticText { text: 'Frames:' }, \
-            etDurationFrames: EditText { text: '15', characters: 5, justify: 'left'} \
-        }, \
-        panelRepos: Panel { \
-            orientation: 'column', \
-            alignChildren: 'left', \
-            margins:15, \
-            text: ' Reposition Layers ', \
-            rbReposNone: RadioButton { text: 'Do Not Reposition', value: true },\
-            rbReposAtPlayhead: RadioButton { text: 'To Playhead', value: true },\
-            rbReposStaggerTopFirst: RadioButton { text: 'Stagger at Playhead, Top Layer First', value: false },\
-            rbReposStaggerBottomFirst: RadioButton { text: 'Stagger at Playhead, Bottom Layer First', value: false },\
-        },\
-        bottomGroup: Group { \
-            cancelButton: Button { text: 'Cancel', properties:{name:'cancel'}, size: [120,24], alignment:['center', 'center'] }, \
-            applyButton: Button { text: 'Apply', properties:{name:'ok'}, size: [120,24], alignment:['center', 'center'] }, \
-        }\
-    }"
+/**
+ * Gets the layers in a group. A group's layers are listed below it in the layer stack, down
+ * to a hidden marker that ends the group, which is how nested groups are told apart
+ * @param groupIndex Index of the group
+ * @param fRecursive true to include the layers in the groups within the group, false for only
+ *  the layers directly in it. The nested groups themselves are never included
+ * @return Array of layer indexes, top first
+ */
+function getLayerGroupChildIndexes(groupIndex, fRecursive) {
+    var childIndexes = new Array();
+    var depth = 0; // how many nested groups deep the walk is
+    for (var layerIndex=groupIndex-1; layerIndex>0; layerIndex--) {
+        var ref = new ActionReference();
+        ref.putIndex(charIDToTypeID("Lyr "), layerIndex);
+        var desc = executeActionGet(ref);
+        var sectionStr = (desc.hasKey(stringIDToTypeID("layerSection")) ?
+            typeIDToStringID(desc.getEnumerationValue(stringIDToTypeID("layerSection"))) : "layerSectionContent");
+        if (sectionStr == "layerSectionEnd") {
+            if (depth == 0)
+                break;
+            depth--;
+        } else if (sectionStr == "layerSectionStart")
+            depth++;
+        else if (depth == 0 || fRecursive)
+            childIndexes.push(layerIndex);
+    }
+    return childIndexes;
+}
 
-    // create window from resource string
-    var win = new Window(windowResource);
+
+/**
+ * Determines if a layer is left out by the user's layer filters
+ * @param layerIndex Index of layer
+ * @param userSettings User settings object
+ * @return true if the layer is left out
+ */
+function isLayerFilteredOut(layerIndex, userSettings) {
+    var ref = new ActionReference();
+    ref.putIndex(charIDToTypeID("Lyr "), layerIndex);
+    var desc = executeActionGet(ref);
+    if (userSettings.excludeHiddenLayers && desc.hasKey(charIDToTypeID("Vsbl")) && !desc.getBoolean(charIDToTypeID("Vsbl")))
+        return true;
+    if (userSettings.excludeAdjustmentLayers && desc.hasKey(stringIDToTypeID("layerKind")) &&
+      desc.getInteger(stringIDToTypeID("layerKind")) == LAYER_KIND_ADJUSTMENT)
+        return true;
+    return false;
+}
+
+
+/**
+ * Gets the layers to change from the selected layers, expanding the selected groups into
+ * their layers or keeping them as units, and leaving out the layers the user's filters exclude.
+ * The filters only apply to the layers changed one by one - a unit moves with all of its layers,
+ * so none are left behind. A layer that's both selected and in a selected group is only included
+ * once. The background layer is never included, since it isn't on the timeline
+ * @param userSettings User settings object
+ * @return Array of target objects, in layer stack order (the order Photoshop reports the selected layers in), with the
+ *  layers of an expanded group in place of the group, each with:
+ *  index               Index of the layer, or of the group for a unit
+ *  childIndexes        Array of the indexes of the unit's layers, or null if the target is a single layer
+ */
+function getTimelineTargets(userSettings) {
+    var selectedLayersIndexes = getSelectedLayersIndexes(true);
+
+    // expand the groups first, so that a layer selected along with its group is known to be in it
+    var groupChildIndexes = new Array(); // parallel to selectedLayersIndexes. null for layers that aren't expanded
+    var fInSelectedGroup = new Object(); // keyed by layer index
+    for (var i=0; i<selectedLayersIndexes.length; i++) {
+        groupChildIndexes.push(null);
+        if (userSettings.groupHandling == GROUPS_AS_SELECTED || !isLayerGroupByIndex(selectedLayersIndexes[i]))
+            continue;
+        var childIndexes = getLayerGroupChildIndexes(selectedLayersIndexes[i], userSettings.groupHandling != GROUPS_CHILDREN_ONE_LEVEL);
+        groupChildIndexes[i] = new Array();
+        for (var c=0; c<childIndexes.length; c++) {
+            fInSelectedGroup[childIndexes[c]] = true;
+            if (userSettings.groupHandling == GROUPS_AS_UNITS || !isLayerFilteredOut(childIndexes[c], userSettings))
+                groupChildIndexes[i].push(childIndexes[c]);
+        }
+    }
+
+    var targets = new Array();
+    var fTargeted = new Object(); // keyed by layer index
+    for (var i=0; i<selectedLayersIndexes.length; i++) {
+        var layerIndex = selectedLayersIndexes[i];
+        if (groupChildIndexes[i] == null) {
+            if (isLayerFilteredOut(layerIndex, userSettings))
+                continue;
+            // a layer in a unit moves with it
+            if (userSettings.groupHandling == GROUPS_AS_UNITS ? fInSelectedGroup[layerIndex] : fTargeted[layerIndex])
+                continue;
+            var target = new Object();
+            target.index = layerIndex;
+            target.childIndexes = null;
+            targets.push(target);
+            fTargeted[layerIndex] = true;
+        } else if (userSettings.groupHandling == GROUPS_AS_UNITS) {
+            // a group within another selected group moves with that one. its layers are a subset of the outer group's
+            var fNested = false;
+            for (var j=0; j<selectedLayersIndexes.length && !fNested; j++) {
+                if (j != i && groupChildIndexes[j] != null && selectedLayersIndexes[j] > layerIndex && groupChildIndexes[j].length > groupChildIndexes[i].length)
+                    fNested = (groupChildIndexes[i].length > 0 && groupChildIndexes[j].length > 0 &&
+                        groupChildIndexes[i][0] <= groupChildIndexes[j][0] && groupChildIndexes[i][0] >= groupChildIndexes[j][groupChildIndexes[j].length-1]);
+            }
+            if (fNested || groupChildIndexes[i].length == 0)
+                continue;
+            var target = new Object();
+            target.index = layerIndex;
+            target.childIndexes = groupChildIndexes[i];
+            targets.push(target);
+        } else {
+            for (var c=0; c<groupChildIndexes[i].length; c++) {
+                if (fTargeted[groupChildIndexes[i][c]])
+                    continue;
+                var target = new Object();
+                target.index = groupChildIndexes[i][c];
+                target.childIndexes = null;
+                targets.push(target);
+                fTargeted[target.index] = true;
+            }
+        }
+    }
+    return targets;
+}
+
+
+/**
+ * Gets the existing timeline range of each layer in an array of layer indexes
+ * @param layerIndexes Array of layer indexes
+ * @param fProbe true to work out the timing of the layers Photoshop doesn't report it for (see getLayerTimelineRange)
+ * @return Array of range objects (see getLayerTimelineRange), parallel to layerIndexes,
+ * or null if the timing of any of the layers isn't available
+ */
+function getLayersTimelineRanges(layerIndexes, fProbe) {
+    var ranges = new Array();
+    for (var i=0; i<layerIndexes.length; i++) {
+        var range = getLayerTimelineRange(layerIndexes[i], fProbe);
+        if (range == null)
+            return null;
+        ranges.push(range);
+    }
+    return ranges;
+}
+
+
+/**
+ * Gets the times of the active layer's keyframes (on all of its tracks) within a range of the
+ * timeline. There's no way to query keyframes directly, so the playhead is jumped from keyframe
+ * to keyframe, the same as the timeline's keyframe navigation arrows. We walk backwards from
+ * the out point so that a keyframe on the very first frame of the timeline is found as well.
+ * The playhead is left on the last keyframe found
+ * @param inFrame Start of the range, in frames
+ * @param outFrame End of the range, in frames (exclusive)
+ * @return Array of keyframe times, in frames, in ascending order
+ */
+function getActiveLayerKeyframeFrames(inFrame, outFrame) {
+    var keyframeFrames = new Array();
+    var frame = outFrame;
+    setPlayheadPosFrame(frame);
+    while (true) {
+        executeAction(stringIDToTypeID("previousKeyframe"), new ActionDescriptor(), DialogModes.NO);
+        var keyframeFrame = Math.round(getPlayheadPosFrame());
+        if (keyframeFrame >= frame || keyframeFrame < inFrame)
+            break; // no earlier keyframe, or it's before the layer
+        keyframeFrames.unshift(keyframeFrame);
+        frame = keyframeFrame;
+    }
+    return keyframeFrames;
+}
+
+
+/**
+ * Moves the active layer's keyframes at a time on the timeline (on all of its tracks) to
+ * another time. The keyframes at the time are selected the same way as clicking them,
+ * then moved by a relative offset like the layer move actions
+ * @param fromFrame Time of the keyframes, in frames
+ * @param toFrame New time of the keyframes, in frames
+ */
+function moveActiveLayerKeyframes(fromFrame, toFrame) {
+    setPlayheadPosFrame(fromFrame);
+    executeAction(stringIDToTypeID("selectKeyframesAtPlayhead"), new ActionDescriptor(), DialogModes.NO);
+    layerTimelineRelativeAction("moveKeyframes", 0, toFrame - fromFrame);
+}
+
+
+/**
+ * Determines what kind of timeline the active document has. Documents using frame
+ * animation don't have the video timeline's properties, so we check for those first
+ * @return One of the TIMELINE_KIND_* values
+ */
+function getTimelineKind() {
+    try {
+        getTimelineDurationInFrames();
+        return TIMELINE_KIND_VIDEO;
+    } catch(e) {
+        // no video timeline
+    }
+    try {
+        if (getAnimationFrameCount() > 0)
+            return TIMELINE_KIND_FRAME_ANIMATION;
+    } catch(e) {
+        // no frame animation either
+    }
+    return TIMELINE_KIND_NONE;
+}
+
+
+/**
+ * Gets the rate the script's frame arithmetic is done in for the active document's timeline -
+ * the framerate for a video timeline or FrameAnimationDelayUnitsPerSecond for frame animation
+ * @return Rate (double). Throws a description of the problem (string) if there's no timeline
+ */
+function getActiveTimelineFrameRate() {
+    switch (getTimelineKind()) {
+    case TIMELINE_KIND_VIDEO:
+        return getTimelineFrameRate();
+    case TIMELINE_KIND_FRAME_ANIMATION:
+        return FrameAnimationDelayUnitsPerSecond;
+    default:
+        throw "there is no video timeline or frame animation";
+    }
+}
+
+
+/**
+ * Gets the number of frames in the active document's frame animation
+ * @return Number of animation frames
+ */
+function getAnimationFrameCount() {
+    var ref = new ActionReference();
+    ref.putProperty(charIDToTypeID('Prpr'), stringIDToTypeID('frameCount'));
+    ref.putClass(stringIDToTypeID('animationClass'));
+    var desc = executeActionGet(ref);
+    return desc.getInteger(stringIDToTypeID('frameCount'));
+}
+
+
+/**
+ * Gets the delay of an animation frame
+ * @param frameIndex Index of frame (1 for first frame)
+ * @return Delay, in seconds
+ */
+function getAnimationFrameDelay(frameIndex) {
+    var ref = new ActionReference();
+    ref.putProperty(charIDToTypeID('Prpr'), stringIDToTypeID('animationFrameDelay'));
+    ref.putIndex(stringIDToTypeID('animationFrameClass'), frameIndex);
+    var desc = executeActionGet(ref);
+    return desc.getDouble(stringIDToTypeID('animationFrameDelay'));
+}
+
+
+/**
+ * Selects an animation frame
+ * @param frameIndex Index of frame (1 for first frame)
+ * @param fAddToSelection true to add the frame to the frames already selected, false to select only it
+ */
+function selectAnimationFrame(frameIndex, fAddToSelection) {
+    var ref = new ActionReference();
+    ref.putIndex(stringIDToTypeID("animationFrameClass"), frameIndex);
+    var desc = new ActionDescriptor();
+    desc.putReference(charIDToTypeID("null"), ref);
+    if (fAddToSelection)
+        desc.putEnumerated(stringIDToTypeID("selectionModifier"), stringIDToTypeID("selectionModifierType"), stringIDToTypeID("addToSelection"));
+    executeAction(charIDToTypeID("slct"), desc, DialogModes.NO);
+}
+
+
+/**
+ * Selects animation frames, using indexes in specified array
+ * @param frameIndexes Array containing indexes of frames to select
+ */
+function selectAnimationFrames(frameIndexes) {
+    for (var i=0; i<frameIndexes.length; i++)
+        selectAnimationFrame(frameIndexes[i], i > 0);
+}
+
+
+/**
+ * Sets the delay of the selected animation frames, the same as choosing a delay
+ * from a frame's delay menu in the Timeline panel
+ * @param seconds Delay, in seconds
+ */
+function setSelectedAnimationFramesDelay(seconds) {
+    var ref = new ActionReference();
+    ref.putEnumerated(stringIDToTypeID("animationFrameClass"), charIDToTypeID("Ordn"), charIDToTypeID("Trgt"));
+    var descFrame = new ActionDescriptor();
+    descFrame.putDouble(stringIDToTypeID("animationFrameDelay"), seconds);
+    var desc = new ActionDescriptor();
+    desc.putReference(charIDToTypeID("null"), ref);
+    desc.putObject(charIDToTypeID("T   "), stringIDToTypeID("animationFrameClass"), descFrame);
+    executeAction(charIDToTypeID("setd"), desc, DialogModes.NO);
+}
+
+
+/**
+ * Gets all of the animation frames and their delays, without changing anything. Used for
+ * previews, since finding the selected frames (see getSelectedAnimationFrames) has to
+ * change their delays
+ * @return Array of objects with each frame's index and delay (in seconds), in frame order
+ */
+function getAllAnimationFrames() {
+    var frames = new Array();
+    var frameCount = getAnimationFrameCount();
+    for (var frameIndex=1; frameIndex<=frameCount; frameIndex++) {
+        var frame = new Object();
+        frame.index = frameIndex;
+        frame.delay = getAnimationFrameDelay(frameIndex);
+        frames.push(frame);
+    }
+    return frames;
+}
+
+
+/**
+ * Gets the selected animation frames and their delays. Photoshop doesn't report which
+ * frames are selected, but setting the delay of the target frames sets it on all of the
+ * selected ones. So we mark the selected frames with a delay no frame should have, find
+ * the frames that have it, then put their delays back and reselect them. This changes the
+ * document, so it must only be called within the history step of the changes it's for.
+ * The delays are put back even if finding the frames fails part way
+ * @return Array of objects with each selected frame's index and delay (in seconds), in frame order
+ */
+function getSelectedAnimationFrames() {
+    const MarkerDelay = 987.65;
+    var frames = getAllAnimationFrames();
+
+    var selectedFrames = new Array();
+    var selectedFrameIndexes = new Array();
+    try {
+        setSelectedAnimationFramesDelay(MarkerDelay);
+        for (var i=0; i<frames.length; i++) {
+            if (Math.abs(getAnimationFrameDelay(frames[i].index) - MarkerDelay) < 0.001) {
+                selectedFrames.push(frames[i]);
+                selectedFrameIndexes.push(frames[i].index);
+            }
+        }
+    } finally {
+        // put back every delay that isn't what it was, rather than only those of the frames found
+        for (var i=0; i<frames.length; i++) {
+            if (Math.abs(getAnimationFrameDelay(frames[i].index) - frames[i].delay) >= 0.001) {
+                selectAnimationFrame(frames[i].index, false);
+                setSelectedAnimationFramesDelay(frames[i].delay);
+            }
+        }
+        if (selectedFrameIndexes.length > 0)
+            selectAnimationFrames(selectedFrameIndexes);
+    }
+    return selectedFrames;
+}
+
+
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+//
+// Timecode portion of script. All conversions between seconds/frames pairs,
+// timecode strings and frame counts go through these functions so that they're
+// normalized and rounded the same way everywhere.
+//
+// Seconds are timecode seconds, the same as the timecode Photoshop displays on
+// the timeline - a second is always the nominal (integer) number of frames for
+// the framerate, ie 30 frames for 29.97 fps and 24 frames for 23.976 fps. This
+// keeps all frame arithmetic in whole frames so that staggered layers can't
+// accumulate rounding error no matter how many there are. For 29.97 and 59.94
+// fps, timecode is displayed as drop-frame (HH:MM:SS;FF), which skips frame
+// numbers so the timecode tracks wall-clock time
+//
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Describes a timeline framerate for the timecode functions
+ * @param frameRate Timeline framerate, as reported by Photoshop (ex: 29.97002997)
+ * @return Object with frameRate (as passed), nominalFrameRate (integer timecode base),
+ * fNtsc (true for x/1.001 rates) and fDropFrame (true if timecode is displayed as drop-frame)
+ */
+function getFrameRateInfo(frameRate) {
+    var info = new Object();
+    info.frameRate = frameRate;
+    info.nominalFrameRate = Math.round(frameRate);
+    if (info.nominalFrameRate < 1)
+        info.nominalFrameRate = 1;
+    // NTSC-style rates are the nominal rate * 1000/1001 (29.97, 23.976, 59.94). allow for
+    // Photoshop reporting a rounded value like 29.97 instead of 29.97002997
+    info.fNtsc = (info.nominalFrameRate != frameRate && Math.abs(info.nominalFrameRate * 1000 / 1001 - frameRate) < 0.005);
+    info.fDropFrame = (info.fNtsc && info.nominalFrameRate % 30 == 0);
+    return info;
+}
+
+
+/**
+ * Converts a seconds + frames pair to a total number of frames. The frames value
+ * doesn't need to be normalized (ie, it can be larger than the framerate or negative)
+ * @param seconds Number of (timecode) seconds
+ * @param frames Number of frames
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Total number of frames
+ */
+function secondsAndFramesToFrames(seconds, frames, frameRateInfo) {
+    return seconds * frameRateInfo.nominalFrameRate + frames;
+}
+
+
+/**
+ * Converts a total number of frames to a normalized seconds + frames pair, where
+ * frames is always less than the framerate. For negative frame counts both the
+ * seconds and frames are negative
+ * @param totalFrames Total number of frames
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Object with seconds and frames properties
+ */
+function framesToSecondsAndFrames(totalFrames, frameRateInfo) {
+    var sign = (totalFrames < 0 ? -1 : 1);
+    var absFrames = Math.abs(totalFrames);
+    var result = new Object();
+    result.seconds = sign * Math.floor(absFrames / frameRateInfo.nominalFrameRate);
+    result.frames = sign * (absFrames % frameRateInfo.nominalFrameRate);
+    return result;
+}
+
+
+/**
+ * Converts a frame count to its drop-frame timecode label, expressed as the frame
+ * count the label would have in non-drop-frame timecode. Drop-frame timecode skips
+ * the first two frame numbers (four at 59.94) of every minute except each tenth minute
+ * @param totalFrames Non-negative frame count
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Frame count to format as a regular HH:MM:SS:FF timecode
+ */
+function dropFrameCountToLabelFrames(totalFrames, frameRateInfo) {
+    var dropFrames = frameRateInfo.nominalFrameRate / 15;
+    var framesPerMinute = frameRateInfo.nominalFrameRate * 60 - dropFrames;
+    var framesPer10Minutes = framesPerMinute * 10 + dropFrames;
+    var tenMinuteBlocks = Math.floor(totalFrames / framesPer10Minutes);
+    var framesIntoBlock = totalFrames % framesPer10Minutes;
+    var droppedLabels = dropFrames * 9 * tenMinuteBlocks;
+    if (framesIntoBlock > dropFrames)
+        droppedLabels += dropFrames * Math.floor((framesIntoBlock - dropFrames) / framesPerMinute);
+    return totalFrames + droppedLabels;
+}
+
+
+/**
+ * Inverse of dropFrameCountToLabelFrames - converts a drop-frame timecode label to
+ * the frame count it represents
+ * @param hours Hours field of the timecode
+ * @param minutes Minutes field of the timecode
+ * @param seconds Seconds field of the timecode
+ * @param frames Frames field of the timecode
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Frame count
+ */
+function dropFrameLabelToFrameCount(hours, minutes, seconds, frames, frameRateInfo) {
+    var dropFrames = frameRateInfo.nominalFrameRate / 15;
+    var totalMinutes = hours * 60 + minutes;
+    return secondsAndFramesToFrames(totalMinutes * 60 + seconds, frames, frameRateInfo) -
+        dropFrames * (totalMinutes - Math.floor(totalMinutes / 10));
+}
+
+
+/**
+ * Zero-pads a non-negative integer to two digits
+ * @param value Value to pad
+ * @return Padded string
+ */
+function zeroPad2(value) {
+    return (value < 10 ? "0" : "") + value;
+}
+
+
+/**
+ * Formats a frame count as a HH:MM:SS:FF timecode string, or HH:MM:SS;FF drop-frame
+ * timecode for drop-frame rates
+ * @param totalFrames Total number of frames
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Timecode string, prefixed with '-' for negative frame counts
+ */
+function formatTimecode(totalFrames, frameRateInfo) {
+    var labelFrames = Math.abs(totalFrames);
+    if (frameRateInfo.fDropFrame)
+        labelFrames = dropFrameCountToLabelFrames(labelFrames, frameRateInfo);
+    var secondsAndFrames = framesToSecondsAndFrames(labelFrames, frameRateInfo);
+    var seconds = secondsAndFrames.seconds;
+    return (totalFrames < 0 ? "-" : "") +
+        zeroPad2(Math.floor(seconds / 3600)) + ":" +
+        zeroPad2(Math.floor(seconds / 60) % 60) + ":" +
+        zeroPad2(seconds % 60) + (frameRateInfo.fDropFrame ? ";" : ":") +
+        zeroPad2(secondsAndFrames.frames);
+}
+
+
+/**
+ * Formats a frame count for display to the user as both a timecode and a frame count
+ * @param totalFrames Total number of frames
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Display string, ex: "00:00:01:15 (45 frames)"
+ */
+function formatFramesForDisplay(totalFrames, frameRateInfo) {
+    return formatTimecode(totalFrames, frameRateInfo) + " (" + totalFrames + (Math.abs(totalFrames) == 1 ? " frame)" : " frames)");
+}
+
+
+/**
+ * Parses a single term of a timecode entry (see parseTimecodeEntry)
+ * @param termStr Term, already lowercased and stripped of whitespace and its sign
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @param defaultUnit Unit to use for a bare number - "s" or "f"
+ * @return Number of frames the term represents
+ */
+function parseTimecodeTerm(termStr, frameRateInfo, defaultUnit) {
+
+    var match;
+
+    if ((match = termStr.match(/^\d+([:;]\d+){1,3}$/)) != null) {
+        // [[HH:]MM:]SS:FF. work from the right, since the leading fields are optional
+        var fields = termStr.split(/[:;]/);
+        var timecodeFields = [0, 0, 0, 0]; // HH, MM, SS, FF
+        for (var i=0; i<fields.length; i++)
+            timecodeFields[4 - fields.length + i] = parseInt(fields[i], 10);
+        if (termStr.indexOf(";") != -1 && frameRateInfo.fDropFrame)
+            return dropFrameLabelToFrameCount(timecodeFields[0], timecodeFields[1], timecodeFields[2], timecodeFields[3], frameRateInfo);
+        return secondsAndFramesToFrames((timecodeFields[0] * 60 + timecodeFields[1]) * 60 + timecodeFields[2], timecodeFields[3], frameRateInfo);
+    }
+
+    if ((match = termStr.match(/^(\d+\.?\d*|\.\d+)(ms|h|m|s|f)?$/)) != null) {
+        var value = parseFloat(match[1]);
+        var unit = (match[2] ? match[2] : defaultUnit);
+        switch (unit) {
+        case "h":   return Math.round(value * 3600 * frameRateInfo.nominalFrameRate);
+        case "m":   return Math.round(value * 60 * frameRateInfo.nominalFrameRate);
+        case "s":   return Math.round(value * frameRateInfo.nominalFrameRate);
+        case "ms":  return Math.round(value / 1000 * frameRateInfo.nominalFrameRate);
+        case "f":   return Math.round(value);
+        }
+    }
+
+    throw "\"" + termStr + "\" isn't a valid time";
+}
+
+
+/**
+ * Parses a user's time entry into a frame count. Accepts any of the following,
+ * optionally combined with + and - (ex: "2s+6f", "1:00-12f"):
+ *  HH:MM:SS:FF, MM:SS:FF or SS:FF   - Timecode (';' before FF for drop-frame)
+ *  12.5s / 1500ms / 2m / 1h         - Seconds, milliseconds, minutes or hours
+ *  48f                              - Frames
+ *  12 / 12.5                        - Bare number, in defaultUnit
+ * Fractional frames are rounded to the nearest frame
+ * @param text User's entry
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @param defaultUnit Unit to use for a bare number - "s" or "f"
+ * @return Total number of frames. Throws a description of the problem (string) if
+ * the entry can't be parsed
+ */
+function parseTimecodeEntry(text, frameRateInfo, defaultUnit) {
+
+    var str = String(text).replace(/\s+/g, "").toLowerCase();
+    if (str == "")
+        throw "no value entered";
+
+    var termRegExp = /([+\-]?)([^+\-]+)/g;
+    var totalFrames = 0, consumedChars = 0, match;
+    while ((match = termRegExp.exec(str)) != null) {
+        if (match.index != consumedChars)
+            break; // stray sign, handled below
+        consumedChars = termRegExp.lastIndex;
+        var frames = parseTimecodeTerm(match[2], frameRateInfo, defaultUnit);
+        totalFrames += (match[1] == "-" ? -frames : frames);
+    }
+    if (consumedChars != str.length)
+        throw "unexpected \"" + str.charAt(consumedChars) + "\"";
+
+    return totalFrames;
+}
+
+
+/**
+ * Rounds a timeline position or duration to a whole frame, the only thing the
+ * timeline actions accept. Positions that aren't already on a frame boundary
+ * are added to a report so the user can be told which layers were affected
+ * @param frames Exact (possibly fractional) frame value
+ * @param description Description of what's being rounded, ex: layer name, for the report
+ * @param roundingReport Array of report lines to append to
+ * @return frames rounded to the nearest whole frame
+ */
+function roundToFrame(frames, description, roundingReport) {
+    var roundedFrames = Math.round(frames);
+    if (Math.abs(roundedFrames - frames) > 0.0001)
+        roundingReport.push(description + ": " + (Math.round(frames * 1000) / 1000) + " -> frame " + roundedFrames);
+    return roundedFrames;
+}
+
+
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+//
+// Audio portion of script. Finds the beats in a WAV file so that layers can be
+// placed on them (REPOSITION_LAYERS_SYNC_TO_AUDIO). Everything is done in script
+// since we can't count on any external tools being installed. The detection is
+// a simple energy-based onset detector - the audio is reduced to an envelope of
+// short-window energies and a beat is any sharp rise in energy that stands out
+// from the surrounding audio. This works well on music with a clear beat, which
+// is what montages are usually cut to
+//
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+
+const AudioEnvelopeWindowSeconds    = 0.01;   // length of each energy window
+const AudioMaxSamplesPerWindow      = 128;    // samples beyond this in a window are skipped, to keep analysis fast
+const AudioThresholdWindowSeconds   = 0.5;    // an onset must stand out from the average onset strength over this span
+const AudioThresholdMultiplier      = 1.5;    // ...by at least this factor
+const AudioMinBeatIntervalSeconds   = 0.15;   // closest two beats can be to each other
+const AudioMinStrengthFraction      = 0.05;   // onsets weaker than this fraction of the strongest are noise
+
+/**
+ * Reads a little-endian unsigned integer from a binary string
+ * @param data Binary string (one byte per character)
+ * @param offset Offset of first byte
+ * @param byteCount Number of bytes in integer (1-4)
+ * @return Integer value
+ */
+function readUIntLE(data, offset, byteCount) {
+    var value = 0;
+    for (var i=byteCount-1; i>=0; i--)
+        value = value * 256 + (data.charCodeAt(offset + i) & 0xFF);
+    return value;
+}
+
+
+/**
+ * Decodes one sample of WAV audio data into the range -1.0 to 1.0
+ * @param data Binary string (one byte per character)
+ * @param offset Offset of the sample's first byte
+ * @param wavInfo WAV file info (see readWavFileInfo)
+ * @return Sample value
+ */
+function decodeWavSample(data, offset, wavInfo) {
+    var bytesPerSample = wavInfo.bitsPerSample / 8;
+    var value = readUIntLE(data, offset, bytesPerSample);
+    if (wavInfo.fFloat) {
+        // IEEE 754 single precision
+        var sign = (value >= 0x80000000 ? -1 : 1);
+        var exponent = Math.floor(value / 0x800000) & 0xFF;
+        var mantissa = value % 0x800000;
+        if (exponent == 0)
+            return sign * mantissa * Math.pow(2, -149);
+        if (exponent == 0xFF)
+            return 0; // infinity/NaN, treat as silence
+        return sign * (1 + mantissa / 0x800000) * Math.pow(2, exponent - 127);
+    }
+    if (bytesPerSample == 1)
+        return (value - 128) / 128; // 8-bit samples are unsigned
+    var range = Math.pow(2, wavInfo.bitsPerSample - 1);
+    return (value >= range ? value - 2 * range : value) / range;
+}
+
+
+/**
+ * Reads the format information of a WAV file
+ * @param file File object of WAV file, opened for reading with BINARY encoding
+ * @return Object with sampleRate, channelCount, bitsPerSample, fFloat, blockAlign,
+ * dataOffset, dataLength and durationSeconds. Throws a description of the problem
+ * (string) if the file isn't a WAV file we can read
+ */
+function readWavFileInfo(file) {
+
+    var header = file.read(12);
+    if (header.length < 12 || header.substr(0, 4) != "RIFF" || header.substr(8, 4) != "WAVE")
+        throw "not a WAV file";
+
+    var wavInfo = null;
+    for (;;) {
+        var chunkHeader = file.read(8);
+        if (chunkHeader.length < 8)
+            break;
+        var chunkId = chunkHeader.substr(0, 4);
+        var chunkLength = readUIntLE(chunkHeader, 4, 4);
+        if (chunkId == "fmt ") {
+            var fmt = file.read(chunkLength);
+            var formatTag = readUIntLE(fmt, 0, 2);
+            if (formatTag == 0xFFFE && chunkLength >= 26)
+                formatTag = readUIntLE(fmt, 24, 2); // WAVE_FORMAT_EXTENSIBLE - real format is in the subformat GUID
+            wavInfo = new Object();
+            wavInfo.channelCount = readUIntLE(fmt, 2, 2);
+            wavInfo.sampleRate = readUIntLE(fmt, 4, 4);
+            wavInfo.blockAlign = readUIntLE(fmt, 12, 2);
+            wavInfo.bitsPerSample = readUIntLE(fmt, 14, 2);
+            wavInfo.fFloat = (formatTag == 3);
+            if ((formatTag != 1 && formatTag != 3) || (wavInfo.fFloat && wavInfo.bitsPerSample != 32) ||
+              wavInfo.bitsPerSample % 8 != 0 || wavInfo.bitsPerSample < 8 || wavInfo.bitsPerSample > 32)
+                throw "only uncompressed 8/16/24/32-bit PCM and 32-bit float WAV files are supported";
+        } else if (chunkId == "data") {
+            if (wavInfo == null)
+                throw "WAV file is missing its format chunk";
+            wavInfo.dataOffset = file.tell();
+            wavInfo.dataLength = chunkLength;
+            wavInfo.durationSeconds = chunkLength / wavInfo.blockAlign / wavInfo.sampleRate;
+            return wavInfo;
+        } else
+            file.seek(chunkLength, 1);
+        if (chunkLength % 2 == 1)
+            file.seek(1, 1); // chunks are word-aligned
+    }
+    throw "WAV file doesn't contain any audio data";
+}
+
+
+/**
+ * Reduces the audio in a WAV file to an envelope of short-window energies, mixing all
+ * the channels together. Only a subset of the samples in each window are used, which
+ * is plenty to follow the energy of the audio and much faster than using every sample
+ * @param file File object of WAV file, opened for reading with BINARY encoding
+ * @param wavInfo WAV file info (see readWavFileInfo)
+ * @return Array of energies, one per AudioEnvelopeWindowSeconds of audio
+ */
+function getWavEnergyEnvelope(file, wavInfo) {
+
+    var framesPerWindow = Math.max(1, Math.round(wavInfo.sampleRate * AudioEnvelopeWindowSeconds));
+    var frameStride = Math.max(1, Math.floor(framesPerWindow / AudioMaxSamplesPerWindow));
+    var bytesPerSample = wavInfo.bitsPerSample / 8;
+    var bytesPerWindow = framesPerWindow * wavInfo.blockAlign;
+    var windowCount = Math.floor(wavInfo.dataLength / bytesPerWindow);
+    var windowsPerRead = 256;
+    var energies = new Array();
+
+    file.seek(wavInfo.dataOffset);
+    for (var window=0; window < windowCount; window += windowsPerRead) {
+        var data = file.read(bytesPerWindow * Math.min(windowsPerRead, windowCount - window));
+        for (var windowOffset=0; windowOffset + bytesPerWindow <= data.length; windowOffset += bytesPerWindow) {
+            var energy = 0;
+            for (var frameOffset=0; frameOffset < bytesPerWindow; frameOffset += frameStride * wavInfo.blockAlign)
+                for (var channel=0; channel < wavInfo.channelCount; channel++) {
+                    var sample = decodeWavSample(data, windowOffset + frameOffset + channel * bytesPerSample, wavInfo);
+                    energy += sample * sample;
+                }
+            energies.push(energy);
+        }
+    }
+    return energies;
+}
+
+
+/**
+ * Finds the onsets (beats) in an energy envelope. An onset is a rise in energy from one
+ * window to the next that's a local peak and is sufficiently larger than the average
+ * rise around it
+ * @param energies Array of window energies (see getWavEnergyEnvelope)
+ * @param windowSeconds Length of each window, in seconds
+ * @return Array of onset times, in seconds from the start of the audio
+ */
+function detectOnsets(energies, windowSeconds) {
+
+    // onset strength of each window is how much its energy rose from the window before
+    var strengths = new Array();
+    var maxStrength = 0;
+    for (var i=0; i<energies.length; i++) {
+        strengths.push(i == 0 ? 0 : Math.max(0, energies[i] - energies[i-1]));
+        maxStrength = Math.max(maxStrength, strengths[i]);
+    }
+    var minStrength = maxStrength * AudioMinStrengthFraction;
+
+    var thresholdRadius = Math.max(1, Math.round(AudioThresholdWindowSeconds / windowSeconds / 2));
+    var minIntervalWindows = Math.max(1, Math.round(AudioMinBeatIntervalSeconds / windowSeconds));
+    var onsets = new Array();
+    var lastOnsetWindow = -minIntervalWindows;
+
+    // running sum of the strengths within thresholdRadius of the current window
+    var sum = 0;
+    for (var i=0; i < Math.min(thresholdRadius, strengths.length); i++)
+        sum += strengths[i];
+
+    for (var i=0; i<strengths.length; i++) {
+        if (i + thresholdRadius < strengths.length)
+            sum += strengths[i + thresholdRadius];
+        if (i - thresholdRadius - 1 >= 0)
+            sum -= strengths[i - thresholdRadius - 1];
+        var count = Math.min(i + thresholdRadius, strengths.length - 1) - Math.max(i - thresholdRadius, 0) + 1;
+        var threshold = sum / count * AudioThresholdMultiplier;
+
+        if (strengths[i] <= minStrength || strengths[i] <= threshold)
+            continue;
+        if ((i > 0 && strengths[i-1] > strengths[i]) || (i+1 < strengths.length && strengths[i+1] >= strengths[i]))
+            continue; // not the peak of this rise
+        if (i - lastOnsetWindow < minIntervalWindows)
+            continue;
+        onsets.push(i * windowSeconds);
+        lastOnsetWindow = i;
+    }
+    return onsets;
+}
+
+
+/**
+ * Finds the beats in a WAV file
+ * @param filePath Path of WAV file
+ * @return Object with beatTimes (array of seconds from start of audio) and durationSeconds
+ * (length of the audio). Throws a description of the problem (string) if the file can't be read
+ */
+function detectBeatsInWavFile(filePath) {
+    var file = new File(filePath);
+    if (!file.exists)
+        throw "the file doesn't exist";
+    file.encoding = "BINARY";
+    if (!file.open("r"))
+        throw "the file can't be opened";
+    try {
+        var wavInfo = readWavFileInfo(file);
+        var result = new Object();
+        result.beatTimes = detectOnsets(getWavEnergyEnvelope(file, wavInfo), AudioEnvelopeWindowSeconds);
+        result.durationSeconds = wavInfo.durationSeconds;
+        return result;
+    } finally {
+        file.close();
+    }
+}
+
+
+/**
+ * Works out where each layer goes when they're placed on beats. Layer n starts on
+ * beat n*beatEveryN (the audio is assumed to start at the playhead) and lasts until
+ * the next layer starts. The last layer lasts until the beat after it, or the end of
+ * the audio if there are no more beats
+ * @param beats Beats found in audio (see detectBeatsInWavFile)
+ * @param firstFrame Timeline position of the start of the audio, in frames
+ * @param beatEveryN Place a layer on every Nth beat
+ * @param layerCount Number of layers
+ * @param frameRate Timeline framerate (real, not nominal - audio is in real time)
+ * @return Object with positionsInFrames and durationsInFrames arrays, in placement order,
+ * or null if there aren't enough beats for all the layers
+ */
+function getBeatLayerPlacements(beats, firstFrame, beatEveryN, layerCount, frameRate) {
+    if ((layerCount-1) * beatEveryN >= beats.beatTimes.length)
+        return null;
+    var placements = new Object();
+    placements.positionsInFrames = new Array();
+    placements.durationsInFrames = new Array();
+    for (var i=0; i<layerCount; i++) {
+        var startSeconds = beats.beatTimes[i * beatEveryN];
+        var endSeconds = ((i+1) * beatEveryN < beats.beatTimes.length ? beats.beatTimes[(i+1) * beatEveryN] : beats.durationSeconds);
+        var startFrame = firstFrame + Math.round(startSeconds * frameRate);
+        var endFrame = firstFrame + Math.round(endSeconds * frameRate);
+        placements.positionsInFrames.push(startFrame);
+        placements.durationsInFrames.push(Math.max(endFrame - startFrame, 1));
+    }
+    return placements;
+}
+
+
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+//
+// Action portion of script
+//
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Creates an array of identical layer durations
+ * @param layerCount Number of layers
+ * @param durationInFrames Duration of each layer
+ * @return Array of durations in frames
+ */
+function getEqualLayerDurations(layerCount, durationInFrames) {
+    var durations = new Array();
+    for (var i=0; i<layerCount; i++)
+        durations.push(durationInFrames);
+    return durations;
+}
+
+
+/**
+ * Creates a seeded pseudo-random number generator, so that "random" results can be
+ * reproduced by using the same seed. Uses the Park-Miller minimal standard generator,
+ * whose arithmetic stays exact within the precision of a double
+ * @param seed Integer seed
+ * @return Function that returns the next pseudo-random number in the range [0, 1)
+ */
+function createSeededRandom(seed) {
+    var state = Math.abs(Math.floor(seed)) % 2147483647;
+    if (state == 0)
+        state = 1;
+    return function() {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+
+/**
+ * Compares two layer names the way a person would, treating runs of digits as
+ * numbers so that "IMG_2" sorts before "IMG_10". Letters are compared case-insensitively
+ * @param name1 First layer name
+ * @param name2 Second layer name
+ * @return Negative if name1 sorts first, positive if name2 sorts first, 0 if the same
+ */
+function compareLayerNamesNatural(name1, name2) {
+    var chunks1 = name1.toLowerCase().match(/\d+|\D+/g) || new Array();
+    var chunks2 = name2.toLowerCase().match(/\d+|\D+/g) || new Array();
+    for (var i=0; i<Math.min(chunks1.length, chunks2.length); i++) {
+        if (/^\d/.test(chunks1[i]) && /^\d/.test(chunks2[i])) {
+            var difference = parseInt(chunks1[i], 10) - parseInt(chunks2[i], 10);
+            if (difference != 0)
+                return difference;
+        } else if (chunks1[i] != chunks2[i])
+            return (chunks1[i] < chunks2[i] ? -1 : 1);
+    }
+    return chunks1.length - chunks2.length;
+}
+
+
+/**
+ * Gets the number at the end of a layer name, ignoring any file extension
+ * left over from importing, ie "IMG_0012.jpg" is 12
+ * @param name Layer name
+ * @return Number, or null if the name doesn't end with one
+ */
+function getLayerNameNumericSuffix(name) {
+    var match = name.match(/(\d+)(\.[A-Za-z][A-Za-z0-9]*)?\s*$/);
+    return (match ? parseInt(match[1], 10) : null);
+}
+
+
+/**
+ * Parses the timing tag in a layer name, which overrides the dialog's duration and/or gap for
+ * that layer. A tag is a bracketed list of times, each optionally after "hold" (the duration,
+ * which is also what a time on its own is) or "gap" (the gap after the layer, negative for an
+ * overlap), ex: "Title [3s]", "Photo 04 [36f]", "[hold 2s gap 6f]". Consecutive times add up,
+ * ie "[1s 12f]". Times need a unit or to be timecode, so bracketed text that isn't a tag, such
+ * as "[2]" or "[old]", is left alone. The first tag in the name is used
+ * @param name Layer name
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Object with durationInFrames and gapInFrames, each null if the tag doesn't set it,
+ *  and nameWithoutTag, or null if the name doesn't have a tag
+ */
+function getLayerNameTimingTag(name, frameRateInfo) {
+    var tagRegExp = /\s*\[([^\[\]]*)\]/g;
+    var match;
+    while ((match = tagRegExp.exec(name)) != null) {
+        var terms = match[1].replace(/^\s+|\s+$/g, "").toLowerCase().split(/\s+/);
+        var tag = new Object();
+        tag.durationInFrames = null;
+        tag.gapInFrames = null;
+        var field = "durationInFrames", fTimeAfterKeyword = true, fTag = (terms[0] != "");
+        for (var i=0; i<terms.length && fTag; i++) {
+            if (terms[i] == "hold" || terms[i] == "gap") {
+                fTag = fTimeAfterKeyword; // a keyword must be followed by a time
+                field = (terms[i] == "hold" ? "durationInFrames" : "gapInFrames");
+                fTimeAfterKeyword = false;
+            } else if (/^[+\-]?(\d+\.?\d*|\.\d+)(ms|h|m|s|f)$|^\d+([:;]\d+){1,3}$/.test(terms[i])) {
+                tag[field] = (tag[field] != null ? tag[field] : 0) + parseTimecodeEntry(terms[i], frameRateInfo, "f");
+                fTimeAfterKeyword = true;
+            } else
+                fTag = false;
+        }
+        if (fTag && fTimeAfterKeyword) {
+            tag.nameWithoutTag = (name.substring(0, match.index) + name.substring(match.index + match[0].length)).replace(/^\s+|\s+$/g, "");
+            return tag;
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Formats a time for a layer name timing tag (see getLayerNameTimingTag)
+ * @param totalFrames Number of frames. Negative for an overlap
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Tag time, ex: "2s 6f", or "-6f" for a negative time
+ */
+function formatLayerNameTagTime(totalFrames, frameRateInfo) {
+    if (totalFrames < 0)
+        return "-" + Math.abs(totalFrames) + "f";
+    var secondsAndFrames = framesToSecondsAndFrames(totalFrames, frameRateInfo);
+    var terms = new Array();
+    if (secondsAndFrames.seconds > 0)
+        terms.push(secondsAndFrames.seconds + "s");
+    if (secondsAndFrames.frames > 0 || terms.length == 0)
+        terms.push(secondsAndFrames.frames + "f");
+    return terms.join(" ");
+}
+
+
+/**
+ * Gets the order in which the selected layers are placed on the timeline
+ * @param layers Array of the selected layers, each an object with the layer's index and name (see getTimelineSnapshot)
+ * @param layerOrder One of the LAYER_ORDER_* values
+ * @param seed Seed for LAYER_ORDER_RANDOM, so that the same shuffle can be reproduced
+ * @return Array of indexes into layers, in placement order
+ */
+function getLayerPlacementOrder(layers, layerOrder, seed) {
+    var placementOrder = new Array();
+    for (var i=0; i<layers.length; i++)
+        placementOrder.push(i);
+
+    switch (layerOrder) {
+    case LAYER_ORDER_RANDOM:
+        var random = createSeededRandom(seed);
+        for (var i=placementOrder.length-1; i>0; i--) {
+            var j = Math.floor(random() * (i+1));
+            var temp = placementOrder[i];
+            placementOrder[i] = placementOrder[j];
+            placementOrder[j] = temp;
+        }
+        return placementOrder;
+    case LAYER_ORDER_STACK:
+    case LAYER_ORDER_REVERSE_STACK:
+    case LAYER_ORDER_NAME:
+    case LAYER_ORDER_NUMERIC_SUFFIX:
+        break;
+    default:
+        throw "Unknown layerOrder value of " + layerOrder;
+    }
+
+    // layer indexes increase from the bottom of the layer stack to the top. layers whose
+    // names compare the same (or have no numeric suffix) keep their top-first stack order
+    placementOrder.sort(function(a, b) {
+        var result = 0;
+        if (layerOrder == LAYER_ORDER_REVERSE_STACK)
+            return layers[a].index - layers[b].index;
+        if (layerOrder == LAYER_ORDER_NAME)
+            result = compareLayerNamesNatural(layers[a].name, layers[b].name);
+        else if (layerOrder == LAYER_ORDER_NUMERIC_SUFFIX) {
+            var number1 = getLayerNameNumericSuffix(layers[a].name);
+            var number2 = getLayerNameNumericSuffix(layers[b].name);
+            if (number1 != number2) // layers without a number go last
+                result = (number1 == null ? 1 : (number2 == null ? -1 : number1 - number2));
+        }
+        return (result != 0 ? result : layers[b].index - layers[a].index);
+    });
+    return placementOrder;
+}
+
+
+/**
+ * Maps a linear position through a stagger easing curve
+ * @param t Position from 0.0 to 1.0
+ * @param staggerCurve One of the STAGGER_CURVE_* values
+ * @return Eased position, from 0.0 to 1.0
+ */
+function easeStaggerCurve(t, staggerCurve) {
+    switch (staggerCurve) {
+    case STAGGER_CURVE_LINEAR:
+        return t;
+    case STAGGER_CURVE_EASE_IN:
+        return t * t * t;
+    case STAGGER_CURVE_EASE_OUT:
+        return 1 - Math.pow(1 - t, 3);
+    case STAGGER_CURVE_EASE_IN_OUT:
+        return (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2);
+    case STAGGER_CURVE_EXPONENTIAL:
+        return (Math.pow(2, 10 * t) - 1) / 1023;
+    default:
+        throw "Unknown stagger curve value of " + staggerCurve;
+    }
+}
+
+
+/**
+ * Works out the offset of each staggered layer from the first. Linearly, each layer starts
+ * right after the one before it (plus any gap). For the other curves, those linear offsets
+ * are redistributed along the curve, so the sequence spans the same length of the timeline
+ * but layers bunch up at the start and/or end
+ * @param durationsInFrames Duration of each layer, in placement order
+ * @param gapInFrames Gap (positive) or overlap (negative) between layers, or an array of the gap after each layer, in placement order
+ * @param staggerCurve One of the STAGGER_CURVE_* values
+ * @return Array of offsets in frames, in placement order. Offsets for curves other than
+ * linear are fractional
+ */
+function getStaggerOffsets(durationsInFrames, gapInFrames, staggerCurve) {
+    var offsets = new Array();
+    var offset = 0;
+    for (var i=0; i<durationsInFrames.length; i++) {
+        offsets.push(offset);
+        offset += durationsInFrames[i] + (gapInFrames instanceof Array ? gapInFrames[i] : gapInFrames);
+    }
+    var lastOffset = offsets[offsets.length-1];
+    if (staggerCurve != STAGGER_CURVE_LINEAR && lastOffset > 0)
+        for (var i=0; i<offsets.length; i++)
+            offsets[i] = lastOffset * easeStaggerCurve(offsets[i] / lastOffset, staggerCurve);
+    return offsets;
+}
+
+
+/**
+ * Randomly shifts each staggered layer (other than the first) earlier or later by up to
+ * the specified number of frames. Layers are never shifted before the first layer
+ * @param offsetsInFrames Offsets of each layer (see getStaggerOffsets), modified in place
+ * @param jitterFrames Maximum number of frames to shift each layer
+ * @param seed Seed for the random shifts, so that the same jitter can be reproduced
+ */
+function applyStaggerJitter(offsetsInFrames, jitterFrames, seed) {
+    var random = createSeededRandom(seed);
+    for (var i=1; i<offsetsInFrames.length; i++)
+        offsetsInFrames[i] = Math.max(0, offsetsInFrames[i] + Math.round((random() * 2 - 1) * jitterFrames));
+}
+
+
+/**
+ * Creates layer durations that ramp linearly from a start duration for the first layer
+ * placed to an end duration for the last
+ * @param layerCount Number of layers
+ * @param startDurationInFrames Duration of the first layer
+ * @param endDurationInFrames Duration of the last layer
+ * @return Array of durations in frames, in placement order
+ */
+function getRampedLayerDurations(layerCount, startDurationInFrames, endDurationInFrames) {
+    var durations = new Array();
+    for (var i=0; i<layerCount; i++) {
+        var t = (layerCount > 1 ? i / (layerCount-1) : 0);
+        durations.push(Math.max(1, Math.round(startDurationInFrames + (endDurationInFrames - startDurationInFrames) * t)));
+    }
+    return durations;
+}
+
+
+/**
+ * Works out layer durations that make a sequence of layers exactly fill a span of the
+ * timeline. When the span doesn't divide evenly the leftover frames are spread one
+ * each across the layers, so that the sequence still ends exactly at the end of the span
+ * @param layerCount Number of layers
+ * @param spanInFrames Length of span to fill
+ * @param gapInFrames Gap (positive) or overlap (negative) between staggered layers, or null
+ * if the layers aren't staggered, in which case every layer fills the entire span
+ * @return Array of durations in frames, or null if the span is too short to fit every layer
+ */
+function getFitSpanLayerDurations(layerCount, spanInFrames, gapInFrames) {
+    if (gapInFrames == null)
+        return (spanInFrames < 1 ? null : getEqualLayerDurations(layerCount, spanInFrames));
+    // span = sum of durations + gaps between layers
+    var totalDurationInFrames = spanInFrames - (layerCount-1) * gapInFrames;
+    if (totalDurationInFrames < layerCount)
+        return null;
+    var durations = new Array();
+    for (var i=0; i<layerCount; i++) {
+        var durationInFrames = Math.floor((i+1) * totalDurationInFrames / layerCount) - Math.floor(i * totalDurationInFrames / layerCount);
+        if (durationInFrames + Math.min(gapInFrames, 0) < 1)
+            return null; // overlap would swallow the entire layer
+        durations.push(durationInFrames);
+    }
+    return durations;
+}
+
+
+/**
+ * Works out where a layer's keyframes go when its duration changes. Times are offsets from
+ * the layer's in point, since keyframes move with the layer when it's moved. The moves are
+ * ordered so that no keyframe is moved onto one that hasn't been moved yet - those moving
+ * later are moved latest first, followed by those moving earlier, earliest first
+ * @param keyframeOffsets Array of keyframe offsets from the in point, in frames, in ascending order
+ * @param oldDurationInFrames Layer's duration before it's changed
+ * @param newDurationInFrames Layer's new duration
+ * @param keyframeMode One of the KEYFRAMES_* values
+ * @return Array of moves, each an object with fromOffset and toOffset in frames. Keyframes that stay put are left out.
+ *  Throws a description of the problem (string) if two keyframes would end up on the same frame, since
+ *  Photoshop would merge them
+ */
+function getKeyframeMoves(keyframeOffsets, oldDurationInFrames, newDurationInFrames, keyframeMode) {
+    var laterMoves = new Array(), earlierMoves = new Array();
+    var fromOffsetsByToOffset = new Object(); // where the keyframe that ends up at each offset came from
+    for (var i=0; i<keyframeOffsets.length; i++) {
+        var fromOffset = keyframeOffsets[i];
+        var toOffset;
+        switch (keyframeMode) {
+        case KEYFRAMES_LEAVE:
+            toOffset = fromOffset;
+            break;
+        case KEYFRAMES_SCALE:
+            toOffset = fromOffset * newDurationInFrames / oldDurationInFrames;
+            break;
+        case KEYFRAMES_ANCHOR_OUT:
+            toOffset = fromOffset + (newDurationInFrames - oldDurationInFrames);
+            break;
+        case KEYFRAMES_ANCHOR_NEAREST:
+            toOffset = fromOffset + (fromOffset * 2 < oldDurationInFrames ? 0 : newDurationInFrames - oldDurationInFrames);
+            break;
+        default:
+            throw "Unknown userSettings.keyframeMode value of " + keyframeMode;
+        }
+        // keyframes stay within the layer, whose last frame is one before its out point
+        toOffset = Math.max(0, Math.min(Math.round(toOffset), newDurationInFrames - 1));
+        if (toOffset in fromOffsetsByToOffset)
+            throw "its keyframes " + fromOffsetsByToOffset[toOffset] + " and " + fromOffset + " frames from its in point would both move to " +
+                toOffset + " frames from it, which would merge them";
+        fromOffsetsByToOffset[toOffset] = fromOffset;
+        var move = new Object();
+        move.fromOffset = fromOffset;
+        move.toOffset = toOffset;
+        if (toOffset > fromOffset)
+            laterMoves.unshift(move);
+        else if (toOffset < fromOffset)
+            earlierMoves.push(move);
+    }
+    return laterMoves.concat(earlierMoves);
+}
+
+
+/**
+ * Works out how far to move a layer's in and out points for the relative and trim-to-playhead
+ * duration modes, which edit the layers where they are rather than setting their durations
+ * @param userSettings User settings object
+ * @param existingRange Layer's existing timeline range (see getLayerTimelineRange), or null if it isn't known.
+ *  Required for trimming to the playhead
+ * @param playheadFrame Playhead position, in whole frames
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Object with inPointDeltaInFrames and outPointDeltaInFrames (negative moves a point left),
+ *  or null if the layer isn't under the playhead when trimming to it
+ */
+function getLayerEdgeDeltas(userSettings, existingRange, playheadFrame, frameRateInfo) {
+    var deltas = new Object();
+    deltas.inPointDeltaInFrames = 0;
+    deltas.outPointDeltaInFrames = 0;
+    if (userSettings.durationMode == DURATION_MODE_RELATIVE) {
+        // a positive delta lengthens the layer, so the in point moves left
+        var deltaInFrames = secondsAndFramesToFrames(userSettings.relativeDeltaSeconds, userSettings.relativeDeltaFrames, frameRateInfo);
+        switch (userSettings.relativeEdge) {
+        case LAYER_EDGE_OUT:
+            deltas.outPointDeltaInFrames = deltaInFrames;
+            break;
+        case LAYER_EDGE_IN:
+            deltas.inPointDeltaInFrames = -deltaInFrames;
+            break;
+        case LAYER_EDGE_BOTH:
+            // an odd frame goes to the out point
+            var halfDeltaInFrames = (deltaInFrames - deltaInFrames % 2) / 2;
+            deltas.inPointDeltaInFrames = -halfDeltaInFrames;
+            deltas.outPointDeltaInFrames = deltaInFrames - halfDeltaInFrames;
+            break;
+        default:
+            throw "Unknown userSettings.relativeEdge value of " + userSettings.relativeEdge;
+        }
+    } else {
+        if (playheadFrame <= existingRange.inFrame || playheadFrame >= existingRange.outFrame)
+            return null;
+        switch (userSettings.trimEdge) {
+        case LAYER_EDGE_OUT:
+            deltas.outPointDeltaInFrames = playheadFrame - existingRange.outFrame;
+            break;
+        case LAYER_EDGE_IN:
+            deltas.inPointDeltaInFrames = playheadFrame - existingRange.inFrame;
+            break;
+        default:
+            throw "Unknown userSettings.trimEdge value of " + userSettings.trimEdge;
+        }
+    }
+    return deltas;
+}
+
+
+/**
+ * Gets the timeline position a "fit to span" sequence should end at
+ * @param userSettings User settings object
+ * @param snapshot Timeline snapshot object (see getTimelineSnapshot)
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return End position, in frames (exclusive)
+ */
+function getFitSpanEndFrame(userSettings, snapshot, frameRateInfo) {
+    switch (userSettings.fitSpanTarget) {
+    case FIT_SPAN_TARGET_TIME:
+        return secondsAndFramesToFrames(userSettings.fitSpanEndSeconds, userSettings.fitSpanEndFrames, frameRateInfo);
+    case FIT_SPAN_TARGET_WORK_AREA_END:
+        return snapshot.workAreaEndFrame;
+    case FIT_SPAN_TARGET_DOCUMENT_END:
+        return snapshot.documentEndFrame;
+    default:
+        throw "Unknown userSettings.fitSpanTarget value of " + userSettings.fitSpanTarget;
+    }
+}
+
+
+/**
+ * Gathers everything planLayerTimeline() needs to know about the timeline and the selected
+ * layers, so that the planning itself doesn't need Photoshop. Only what the settings call
+ * for is gathered, ie the WAV file is only analyzed when syncing to audio. For frame
+ * animation the selected animation frames take the place of the layers, with their
+ * delays as their existing ranges, and "frames" are hundredths of a second
+ * @param userSettings User settings object
+ * @param fPreview true if the snapshot is only for a preview, in which case nothing that changes the document is
+ *  done to gather it. Finding the selected animation frames changes their delays, so all of the frames are used instead,
+ *  and the layers' ranges are only read if Photoshop reports them
+ * @return Timeline snapshot object, with:
+ *  fFrameAnimation     true if the document uses frame animation, false for a video timeline
+ *  frameRate           Timeline framerate, or FrameAnimationDelayUnitsPerSecond for frame animation
+ *  playheadFrame       Playhead position, in frames. Can be fractional. Always 0 for frame animation
+ *  layers              Array of the layers (or animation frames) to change (see getTimelineTargets), each an object with
+ *                      the layer's index, name, problem, which describes why the layer can't be changed (see
+ *                      getLayerTimelineProblem), or is null, and for a group moved as a unit, childLayers and
+ *                      childRanges, the layers in the group and their existing ranges (both null otherwise)
+ *  selectedLayersIndexes Array of the indexes of the selected layers (or animation frames), to select again afterwards
+ *  fBackgroundLayerSelected true if the background layer is selected. It isn't on the timeline, so it isn't in layers
+ *  layerRanges         Array of the existing timeline range of each layer (see getLayerTimelineRange), parallel to
+ *                      layers, or null if the settings don't need them or Photoshop doesn't make them available
+ *  workAreaEndFrame    End of the work area, in frames, when fitting to it. Otherwise null
+ *  documentEndFrame    End of the document, in frames, when fitting to it, extending it or looping to it. Otherwise null
+ *  beats               Beats detected in the WAV file when syncing to audio (see detectBeatsInWavFile). Otherwise null
+ *  previewNotes        Array of descriptions of how a preview snapshot differs from what will actually be changed
+ * Throws a description of the problem (string) if the WAV file can't be analyzed, or for a preview if the layers'
+ * ranges are needed and Photoshop doesn't report them
+ */
+function getTimelineSnapshot(userSettings, fPreview) {
+
+    const PreviewRangesMessage = "This version of Photoshop doesn't report the in/out points of timeline layers, and working them out means moving the layers, which the preview doesn't do. Apply the changes to see them instead; they can be undone.";
+
+    var snapshot = new Object();
+    var fSyncToAudio = (userSettings.repositionLayers == REPOSITION_LAYERS_SYNC_TO_AUDIO);
+
+    snapshot.fFrameAnimation = (getTimelineKind() == TIMELINE_KIND_FRAME_ANIMATION);
+    snapshot.fBackgroundLayerSelected = false;
+    snapshot.workAreaEndFrame = null;
+    snapshot.documentEndFrame = null;
+    snapshot.beats = null;
+    snapshot.previewNotes = new Array();
+    if (fSyncToAudio) {
+        try {
+            snapshot.beats = detectBeatsInWavFile(userSettings.audioFilePath);
+        } catch(e) {
+            throw "Unable to find the beats in \"" + userSettings.audioFilePath + "\": " + e;
+        }
+    }
+
+    if (snapshot.fFrameAnimation) {
+        snapshot.frameRate = FrameAnimationDelayUnitsPerSecond;
+        snapshot.playheadFrame = 0;
+        snapshot.layers = new Array();
+        snapshot.layerRanges = new Array();
+        var selectedFrames;
+        if (fPreview) {
+            selectedFrames = getAllAnimationFrames();
+            snapshot.previewNotes.push("All of the animation frames are shown, since finding the selected ones means changing them. Only the selected frames will be changed.");
+        } else
+            selectedFrames = getSelectedAnimationFrames();
+        for (var i=0; i<selectedFrames.length; i++) {
+            var frame = new Object();
+            frame.index = selectedFrames[i].index;
+            frame.name = "Frame " + selectedFrames[i].index;
+            frame.problem = null;
+            frame.childLayers = null;
+            frame.childRanges = null;
+            snapshot.layers.push(frame);
+            var range = new Object();
+            range.inFrame = 0;
+            range.outFrame = range.durationInFrames = Math.round(selectedFrames[i].delay * FrameAnimationDelayUnitsPerSecond);
+            snapshot.layerRanges.push(range);
+        }
+        snapshot.selectedLayersIndexes = new Array();
+        for (var i=0; i<snapshot.layers.length; i++)
+            snapshot.selectedLayersIndexes.push(snapshot.layers[i].index);
+        return snapshot;
+    }
+
+    snapshot.frameRate = getTimelineFrameRate();
+    snapshot.playheadFrame = getPlayheadPosFrame();
+
+    var selectedLayersIndexes = getSelectedLayersIndexes(true);
+    snapshot.selectedLayersIndexes = selectedLayersIndexes;
+    snapshot.fBackgroundLayerSelected = (getSelectedLayersIndexes(false).length != selectedLayersIndexes.length);
+    snapshot.layers = new Array();
+    var targets = getTimelineTargets(userSettings);
+    var fGroupUnits = false;
+    for (var i=0; i<targets.length; i++) {
+        var layer = new Object();
+        layer.index = targets[i].index;
+        layer.name = getLayerNameByIndex(targets[i].index);
+        layer.childLayers = null;
+        layer.childRanges = null;
+        if (targets[i].childIndexes == null)
+            layer.problem = getLayerTimelineProblem(targets[i].index);
+        else {
+            // a unit can't be moved unless all of its layers can be
+            fGroupUnits = true;
+            layer.problem = null;
+            layer.childLayers = new Array();
+            for (var c=0; c<targets[i].childIndexes.length; c++) {
+                var childLayer = new Object();
+                childLayer.index = targets[i].childIndexes[c];
+                childLayer.name = getLayerNameByIndex(childLayer.index);
+                var childProblem = getLayerTimelineProblem(childLayer.index);
+                if (childProblem != null && layer.problem == null)
+                    layer.problem = "its layer \"" + childLayer.name + "\" can't be changed (" + childProblem + ")";
+                layer.childLayers.push(childLayer);
+            }
+            layer.childRanges = getLayersTimelineRanges(targets[i].childIndexes, !fPreview);
+            if (layer.childRanges == null)
+                throw (fPreview ? PreviewRangesMessage : "The in/out points of the timeline layers couldn't be found, so groups can't be moved as units. Choose to change the layers in the groups instead.");
+        }
+        snapshot.layers.push(layer);
+    }
+
+    // a unit's range spans its layers
+    snapshot.layerRanges = null;
+    if ((!fSyncToAudio && (userSettings.durationMode == DURATION_MODE_KEEP_EXISTING || userSettings.durationMode == DURATION_MODE_SCALE ||
+      userSettings.durationMode == DURATION_MODE_RELATIVE || userSettings.durationMode == DURATION_MODE_TRIM_TO_PLAYHEAD)) ||
+      userSettings.keyframeMode != KEYFRAMES_LEAVE || fGroupUnits || (userSettings.loopLayers && userSettings.repositionLayers == REPOSITION_LAYERS_NONE)) {
+        snapshot.layerRanges = new Array();
+        for (var i=0; i<snapshot.layers.length && snapshot.layerRanges != null; i++) {
+            var layer = snapshot.layers[i];
+            var range = null;
+            if (layer.childRanges == null)
+                range = getLayerTimelineRange(layer.index, !fPreview);
+            else {
+                range = new Object();
+                for (var c=0; c<layer.childRanges.length; c++) {
+                    if (c == 0 || layer.childRanges[c].inFrame < range.inFrame)
+                        range.inFrame = layer.childRanges[c].inFrame;
+                    if (c == 0 || layer.childRanges[c].outFrame > range.outFrame)
+                        range.outFrame = layer.childRanges[c].outFrame;
+                }
+                range.durationInFrames = range.outFrame - range.inFrame;
+            }
+            if (range == null && fPreview)
+                throw PreviewRangesMessage;
+            if (range == null)
+                snapshot.layerRanges = null;
+            else
+                snapshot.layerRanges.push(range);
+        }
+    }
+
+    if (!fSyncToAudio && userSettings.durationMode == DURATION_MODE_FIT_SPAN) {
+        if (userSettings.fitSpanTarget == FIT_SPAN_TARGET_WORK_AREA_END)
+            snapshot.workAreaEndFrame = getTimelineWorkAreaEndFrame();
+        else if (userSettings.fitSpanTarget == FIT_SPAN_TARGET_DOCUMENT_END)
+            snapshot.documentEndFrame = getTimelineDurationInFrames();
+    }
+    if (userSettings.documentDuration == DOCUMENT_DURATION_EXTEND || (userSettings.loopLayers && userSettings.loopTarget == LOOP_TARGET_DOCUMENT_END))
+        snapshot.documentEndFrame = getTimelineDurationInFrames();
+    return snapshot;
+}
+
+
+/**
+ * Creates a planned operation on a layer (see planLayerTimeline)
+ * @param layer Object with the layer's index and name (see getTimelineSnapshot)
+ * @param existingRange Layer's existing timeline range (see getLayerTimelineRange), or null if it isn't known
+ * @param startFrame New in point, in frames, or null if the layer stays where it is
+ * @param durationInFrames New duration, in frames, or null if it isn't known (relative mode only)
+ * @return Layer operation object
+ */
+function createLayerOperation(layer, existingRange, startFrame, durationInFrames) {
+    var operation = new Object();
+    operation.layerIndex = layer.index;
+    operation.layerName = layer.name;
+    operation.existingRange = existingRange;
+    operation.startFrame = startFrame;
+    operation.durationInFrames = durationInFrames;
+    operation.transitionInFrames = 0; // length of transition across the overlap with the previous layer in placement order
+    operation.fadeOutOperationIndex = null; // with a transition, index in the plan's operations of the outgoing layer that fades out. Otherwise null
+    operation.delayInFrames = null; // for frame animation, the frame's delay (time until the next frame starts)
+    operation.keyframeMode = KEYFRAMES_LEAVE; // how the layer's keyframes are moved when its duration changes. One of the KEYFRAMES_* values
+    operation.inPointDeltaInFrames = null; // for the relative and trim-to-playhead modes, how far to move the in point. Otherwise null
+    operation.outPointDeltaInFrames = null; // for the relative and trim-to-playhead modes, how far to move the out point. Otherwise null
+    operation.newLayerName = null; // new name for the layer, for stripping or rewriting the timing tag in its name. Otherwise null
+    return operation;
+}
+
+
+/**
+ * Adapts user settings for frame animation, where the selected frames always play one after
+ * another in frame order. Each frame's delay is the time until the next frame starts, so the
+ * stagger settings (gap, curve, jitter) shape the delays when staggering, and each frame's
+ * delay is simply its duration otherwise
+ * @param userSettings User settings object, which isn't modified
+ * @return User settings object for planning the frame delays. Throws a description of the
+ *  problem (string) for settings that don't apply to frame animation
+ */
+function getFrameAnimationUserSettings(userSettings) {
+    var frameUserSettings = new Object();
+    for (var prop in userSettings)
+        frameUserSettings[prop] = userSettings[prop];
+    if (frameUserSettings.durationMode == DURATION_MODE_RELATIVE || frameUserSettings.durationMode == DURATION_MODE_TRIM_TO_PLAYHEAD)
+        throw "Frame animation has no in/out points to extend, shrink or trim. Choose a different duration mode.";
+    if (frameUserSettings.loopLayers)
+        throw "Frame animation frames can't be looped by the script. Turn off looping the layers.";
+    if (frameUserSettings.durationMode == DURATION_MODE_FIT_SPAN && frameUserSettings.fitSpanTarget != FIT_SPAN_TARGET_TIME)
+        throw "Frame animation has no work area or document end to fit the frames to. Choose a time to fit them to instead.";
+    if (frameUserSettings.repositionLayers == REPOSITION_LAYERS_NONE || frameUserSettings.repositionLayers == REPOSITION_LAYERS_AT_PLAYHEAD) {
+        frameUserSettings.repositionLayers = REPOSITION_LAYERS_STAGGER;
+        frameUserSettings.gapSeconds = frameUserSettings.gapFrames = 0;
+        frameUserSettings.staggerCurve = STAGGER_CURVE_LINEAR;
+        frameUserSettings.jitterFrames = 0;
+    }
+    frameUserSettings.layerOrder = LAYER_ORDER_REVERSE_STACK; // a frame's "layer index" is its frame number, so this is frame order
+    frameUserSettings.overlapTransition = OVERLAP_TRANSITION_NONE;
+    frameUserSettings.keyframeMode = KEYFRAMES_LEAVE; // animation frames don't have keyframes
+    return frameUserSettings;
+}
+
+
+/**
+ * Works out the copies of the planned layers that repeat them back-to-back until they fill
+ * the loop. Each pass of the loop starts where the last one ended, plus the gap between
+ * passes, so a staggered sequence carries on with the same rhythm
+ * @param operations Array of planned layer operations (see createLayerOperation). Layers that aren't repositioned
+ *  are looped from their existing in points
+ * @param loopEndFrame Where the loop ends, in frames
+ * @param passGapInFrames Gap between the end of one pass and the start of the next, in frames. Negative for overlap
+ * @param loopDirection One of the LOOP_DIRECTION_* values
+ * @param fTrimLastCopy true to leave out copies that would start at or after the loop end and cut
+ *  short the ones running past it, false to finish the last pass
+ * @return Array of loop copy objects, in pass order, each with:
+ *  operationIndex      Index of the operation whose layer is copied
+ *  name                Name for the copy
+ *  pass                Pass of the loop the copy is in. The planned layers themselves are pass 0
+ *  startFrame          In point of the copy, in frames
+ *  durationInFrames    Duration of the copy, in frames
+ * Throws a description of the problem (string) if the layers can't be looped
+ */
+function getLoopCopies(operations, loopEndFrame, passGapInFrames, loopDirection, fTrimLastCopy) {
+
+    var inFrames = new Array(), durationsInFrames = new Array(); // where each layer ends up, indexed the same as operations
+    var sequenceStartFrame = null, sequenceEndFrame = null;
+    for (var i=0; i<operations.length; i++) {
+        var operation = operations[i];
+        var existingRange = operation.existingRange;
+        inFrames[i] = (operation.startFrame != null ? operation.startFrame : (existingRange != null ? existingRange.inFrame : null));
+        durationsInFrames[i] = (operation.durationInFrames != null ? operation.durationInFrames : (existingRange != null ? existingRange.durationInFrames : null));
+        if (inFrames[i] == null || durationsInFrames[i] == null)
+            throw "The in/out points of \"" + operation.layerName + "\" couldn't be found, so the layers can't be looped. Choose a reposition option instead.";
+        if (sequenceStartFrame == null || inFrames[i] < sequenceStartFrame)
+            sequenceStartFrame = inFrames[i];
+        if (sequenceEndFrame == null || inFrames[i] + durationsInFrames[i] > sequenceEndFrame)
+            sequenceEndFrame = inFrames[i] + durationsInFrames[i];
+    }
+    var copies = new Array();
+    if (operations.length == 0)
+        return copies;
+    var passLengthInFrames = Math.round(sequenceEndFrame - sequenceStartFrame + passGapInFrames);
+    if (passLengthInFrames < 1)
+        throw "The overlap between the layers is longer than the layers, which leaves each pass of the loop no length. Use a smaller overlap.";
+
+    for (var pass=1; sequenceStartFrame + pass * passLengthInFrames < loopEndFrame; pass++) {
+        var passStartFrame = sequenceStartFrame + pass * passLengthInFrames;
+        for (var i=0; i<operations.length; i++) {
+            var operation = operations[i];
+            var copy = new Object();
+            copy.operationIndex = i;
+            copy.name = (operation.newLayerName != null ? operation.newLayerName : operation.layerName) + " loop " + (pass+1);
+            copy.pass = pass;
+            // a reversed pass mirrors the sequence, so the layer that ended it starts the pass
+            if (loopDirection == LOOP_DIRECTION_PING_PONG && pass % 2 == 1)
+                copy.startFrame = passStartFrame + (sequenceEndFrame - (inFrames[i] + durationsInFrames[i]));
+            else
+                copy.startFrame = passStartFrame + (inFrames[i] - sequenceStartFrame);
+            copy.durationInFrames = durationsInFrames[i];
+            if (fTrimLastCopy) {
+                if (copy.startFrame >= loopEndFrame)
+                    continue;
+                copy.durationInFrames = Math.min(copy.durationInFrames, loopEndFrame - copy.startFrame);
+            }
+            copies.push(copy);
+        }
+        if (copies.length > LoopMaxCopies)
+            throw "Filling the loop would take more than " + LoopMaxCopies + " layer copies. Loop to a shorter length.";
+    }
+    return copies;
+}
+
+
+/**
+ * Works out the new timing of each selected layer. This is the entire scheduling side of
+ * the script - it doesn't use Photoshop, so the result can be previewed before anything
+ * is changed and then carried out by executeLayerTimelinePlan()
+ * @param userSettings User settings object
+ * @param snapshot Timeline snapshot object (see getTimelineSnapshot)
+ * @return Plan object, with:
+ *  frameRateInfo       Timeline framerate info (see getFrameRateInfo)
+ *  fFrameAnimation     true if the operations set animation frame delays (see getFrameAnimationUserSettings)
+ *  fReposition         true if the layers are moved, false if only their durations change
+ *  overlapTransition   One of the OVERLAP_TRANSITION_* values
+ *  operations          Array of layer operation objects (see createLayerOperation), in the order they're carried out
+ *  startFrame          Start of the planned layers, in frames, or null if not known
+ *  endFrame            End of the planned layers, in frames (exclusive), or null if not known. Includes any loop copies
+ *  loopCopies          Array of the copies of the layers that loop them (see getLoopCopies), or null when not looping
+ *  documentDurationInFrames New document duration, in frames, or null to leave it as is
+ *  workAreaInFrame     New start of the work area, in frames, or null to leave the work area as is
+ *  workAreaOutFrame    New end of the work area, in frames, or null to leave the work area as is
+ *  playheadFrame       New playhead position, in frames, or null to leave the playhead where it is
+ *  roundingReport      Array of descriptions of layer positions/durations that were rounded to a frame
+ * Throws a description of the problem (string) if the layers can't be planned with the settings
+ */
+function planLayerTimeline(userSettings, snapshot) {
+
+    if (snapshot.fFrameAnimation)
+        userSettings = getFrameAnimationUserSettings(userSettings);
+
+    var layers = snapshot.layers;
+    var frameRateInfo = getFrameRateInfo(snapshot.frameRate);
+    var fStagger = (userSettings.repositionLayers == REPOSITION_LAYERS_STAGGER);
+    var existingLayerRanges = null;
+    var beatPlacements = null;
+    // the relative and trim modes edit the layers where they are, so they're never repositioned (unless syncing to audio, which sets the durations itself)
+    var fEdgeEdit = (userSettings.repositionLayers != REPOSITION_LAYERS_SYNC_TO_AUDIO &&
+        (userSettings.durationMode == DURATION_MODE_RELATIVE || userSettings.durationMode == DURATION_MODE_TRIM_TO_PLAYHEAD));
+    if (fEdgeEdit)
+        fStagger = false;
+    // groups moved as units keep their length, and their layers' offsets from each other
+    var fGroupUnits = false;
+    for (var index=0; index < layers.length; index++) {
+        if (layers[index].childLayers != null)
+            fGroupUnits = true;
+    }
+    if (fGroupUnits && fEdgeEdit)
+        throw "Groups moved as units can't have their in/out points extended, shrunk or trimmed. Choose to change the layers in the groups instead.";
+    if (fGroupUnits && userSettings.durationMode == DURATION_MODE_FIT_SPAN && userSettings.repositionLayers != REPOSITION_LAYERS_SYNC_TO_AUDIO)
+        throw "Groups moved as units keep their length, so they can't be fit to a span. Choose to change the layers in the groups instead.";
+
+    var plan = new Object();
+    plan.frameRateInfo = frameRateInfo;
+    plan.fFrameAnimation = snapshot.fFrameAnimation;
+    plan.fReposition = (userSettings.repositionLayers != REPOSITION_LAYERS_NONE && !fEdgeEdit);
+    plan.overlapTransition = (fStagger ? userSettings.overlapTransition : OVERLAP_TRANSITION_NONE);
+    plan.operations = new Array();
+    plan.roundingReport = new Array(); // layers whose placement wasn't on an exact frame boundary
+
+    if (userSettings.repositionLayers == REPOSITION_LAYERS_SYNC_TO_AUDIO) {
+        beatPlacements = getBeatLayerPlacements(snapshot.beats, Math.round(snapshot.playheadFrame),
+            userSettings.beatEveryN, layers.length, snapshot.frameRate);
+        if (beatPlacements == null)
+            throw "There aren't enough beats in \"" + userSettings.audioFilePath + "\" to place all " + layers.length +
+                " layers. Select fewer layers or place them on beats more often.";
+    } else if (userSettings.durationMode == DURATION_MODE_KEEP_EXISTING || userSettings.durationMode == DURATION_MODE_SCALE) {
+        existingLayerRanges = snapshot.layerRanges;
+        if (existingLayerRanges == null)
+            throw "The in/out points of the timeline layers couldn't be found, so existing durations can't be kept or scaled. Choose \"Set duration\" and enter a duration instead.";
+    } else if (fEdgeEdit) {
+        // the in/out points are only needed to trim at the playhead. relative edits just show the result with them
+        existingLayerRanges = snapshot.layerRanges;
+        if (existingLayerRanges == null && userSettings.durationMode == DURATION_MODE_TRIM_TO_PLAYHEAD)
+            throw "The in/out points of the timeline layers couldn't be found, so they can't be trimmed to the playhead. Choose \"Relative extend/shrink\" instead.";
+    }
+    if (userSettings.keyframeMode != KEYFRAMES_LEAVE) {
+        // keyframes are found within each layer's in/out points and moved relative to them
+        existingLayerRanges = snapshot.layerRanges;
+        if (existingLayerRanges == null)
+            throw "The in/out points of the timeline layers couldn't be found, so keyframes can't be moved with the layers' durations. Choose to leave the keyframes as they are instead.";
+    }
+    if (userSettings.loopLayers && !plan.fReposition) {
+        // layers that stay where they are are looped from their existing in points
+        existingLayerRanges = snapshot.layerRanges;
+        if (existingLayerRanges == null)
+            throw "The in/out points of the timeline layers couldn't be found, so layers that aren't repositioned can't be looped. Choose a reposition option instead.";
+    }
+
+    var gapInFrames = secondsAndFramesToFrames(userSettings.gapSeconds, userSettings.gapFrames, frameRateInfo); // negative value for overlap
+    var firstLayerPosFrame = snapshot.playheadFrame; // exact position, rounded for each layer as it's placed
+    // the layer order only applies when the layers are placed one after another. otherwise a
+    // duration ramp runs from the top of the layer stack to the bottom
+    var placementOrder = getLayerPlacementOrder(layers,
+        ((fStagger || beatPlacements != null) ? userSettings.layerOrder : LAYER_ORDER_STACK), userSettings.layerOrderSeed);
+    var layerDurationsInFrames = new Array(); // indexed the same as layers
+
+    // durations come from the beats when syncing to audio, otherwise from the duration mode
+    if (fEdgeEdit) {
+        // durations follow from the in/out point edits, below
+    } else if (beatPlacements != null) {
+        // beat placements are in placement order. index them the same as the selected layers
+        for (var placement=0; placement < placementOrder.length; placement++)
+            layerDurationsInFrames[placementOrder[placement]] = beatPlacements.durationsInFrames[placement];
+    } else {
+        switch (userSettings.durationMode) {
+        case DURATION_MODE_SET:
+            var durationInFrames = secondsAndFramesToFrames(userSettings.durationSeconds, userSettings.durationFrames, frameRateInfo);
+            var rampedDurationsInFrames = getRampedLayerDurations(layers.length, durationInFrames,
+                (userSettings.durationRamp ? secondsAndFramesToFrames(userSettings.durationRampEndSeconds, userSettings.durationRampEndFrames, frameRateInfo) : durationInFrames));
+            for (var placement=0; placement < placementOrder.length; placement++)
+                layerDurationsInFrames[placementOrder[placement]] = rampedDurationsInFrames[placement];
+            break;
+        case DURATION_MODE_KEEP_EXISTING:
+        case DURATION_MODE_SCALE:
+            for (var index=0; index < layers.length; index++) {
+                var scaledDurationInFrames = existingLayerRanges[index].durationInFrames;
+                if (userSettings.durationMode == DURATION_MODE_SCALE)
+                    scaledDurationInFrames = roundToFrame(scaledDurationInFrames * userSettings.scalePercent / 100,
+                        layers[index].name + " (duration)", plan.roundingReport);
+                layerDurationsInFrames.push(Math.max(scaledDurationInFrames, 1));
+            }
+            break;
+        case DURATION_MODE_FIT_SPAN:
+            var spanEndFrame = getFitSpanEndFrame(userSettings, snapshot, frameRateInfo);
+            firstLayerPosFrame = Math.round(firstLayerPosFrame); // span is always whole frames
+            layerDurationsInFrames = getFitSpanLayerDurations(layers.length, spanEndFrame - firstLayerPosFrame,
+                (fStagger ? gapInFrames : null));
+            if (layerDurationsInFrames == null)
+                throw "There isn't enough room between the playhead and " + formatTimecode(spanEndFrame, frameRateInfo) +
+                    " to fit " + layers.length + " layers. Move the playhead or choose a later end.";
+            break;
+        default:
+            throw "Unknown userSettings.durationMode value of " + userSettings.durationMode;
+        }
+    }
+
+    // timing tags in the layer names override the durations and stagger gaps from the settings. they're left
+    // alone when fitting to a span, whose durations are worked out to fill it, and when editing in/out points
+    var layerNameTags = new Array(); // indexed the same as layers. null for layers without a tag
+    var gapsInFrames = new Array(); // gap after each layer, indexed the same as layers
+    var fLayerNameTags = (userSettings.useLayerNameTags && !plan.fFrameAnimation && !fEdgeEdit && beatPlacements == null &&
+        userSettings.durationMode != DURATION_MODE_FIT_SPAN);
+    for (var index=0; index < layers.length; index++) {
+        var tag = (fLayerNameTags && layers[index].childLayers == null ? getLayerNameTimingTag(layers[index].name, frameRateInfo) : null);
+        layerNameTags.push(tag);
+        gapsInFrames.push(gapInFrames);
+        if (tag == null)
+            continue;
+        if (tag.durationInFrames != null) {
+            if (tag.durationInFrames < 1)
+                throw "The timing tag in \"" + layers[index].name + "\" gives it a duration of less than one frame.";
+            layerDurationsInFrames[index] = tag.durationInFrames;
+        }
+        if (tag.gapInFrames != null)
+            gapsInFrames[index] = tag.gapInFrames;
+    }
+    if (fGroupUnits && !fEdgeEdit) {
+        for (var index=0; index < layers.length; index++) {
+            if (layers[index].childLayers != null)
+                layerDurationsInFrames[index] = snapshot.layerRanges[index].durationInFrames;
+        }
+    }
+
+    if (fEdgeEdit) {
+        // the in and/or out points move by a delta. the result is only known if the existing in/out points are
+        var playheadFrame = Math.round(snapshot.playheadFrame);
+        for (var index=0; index < layers.length; index++) {
+            var existingRange = (existingLayerRanges != null ? existingLayerRanges[index] : null);
+            var deltas = getLayerEdgeDeltas(userSettings, existingRange, playheadFrame, frameRateInfo);
+            if (deltas == null)
+                continue; // not under the playhead
+            var operation = createLayerOperation(layers[index], existingRange, null, null);
+            operation.inPointDeltaInFrames = deltas.inPointDeltaInFrames;
+            operation.outPointDeltaInFrames = deltas.outPointDeltaInFrames;
+            if (existingRange != null) {
+                operation.startFrame = existingRange.inFrame + deltas.inPointDeltaInFrames;
+                operation.durationInFrames = existingRange.durationInFrames - deltas.inPointDeltaInFrames + deltas.outPointDeltaInFrames;
+                if (operation.durationInFrames < 1)
+                    throw "Shrinking \"" + layers[index].name + "\" by " + formatFramesForDisplay(-(deltas.outPointDeltaInFrames - deltas.inPointDeltaInFrames), frameRateInfo) +
+                        " would leave nothing of it. Shrink the layers by less.";
+            }
+            plan.operations.push(operation);
+        }
+        if (plan.operations.length == 0)
+            throw "None of the selected layers are under the playhead, so there's nothing to trim. Move the playhead over the layers.";
+    } else if (!plan.fReposition) {
+        // only the durations change. the layers stay where they are
+        for (var index=0; index < layers.length; index++) {
+            var existingRange = (existingLayerRanges != null ? existingLayerRanges[index] : null);
+            plan.operations.push(createLayerOperation(layers[index], existingRange,
+                (existingRange != null ? existingRange.inFrame : null), layerDurationsInFrames[index]));
+        }
+    } else {
+        // the first layer is positioned at the playhead
+        var layerOffsetsInFrames; // offset of each layer from the first, in placement order
+
+        if (fStagger) {
+            // fit-to-span durations already account for the whole span, so they can't be eased or jittered
+            var fFitSpan = (userSettings.durationMode == DURATION_MODE_FIT_SPAN);
+            var durationsInPlacementOrder = new Array();
+            var gapsInPlacementOrder = new Array();
+            for (var placement=0; placement < placementOrder.length; placement++) {
+                durationsInPlacementOrder.push(layerDurationsInFrames[placementOrder[placement]]);
+                gapsInPlacementOrder.push(gapsInFrames[placementOrder[placement]]);
+            }
+            layerOffsetsInFrames = getStaggerOffsets(durationsInPlacementOrder, gapsInPlacementOrder, (fFitSpan ? STAGGER_CURVE_LINEAR : userSettings.staggerCurve));
+            if (!fFitSpan && userSettings.jitterFrames > 0)
+                applyStaggerJitter(layerOffsetsInFrames, userSettings.jitterFrames, userSettings.jitterSeed);
+        } else
+            layerOffsetsInFrames = getEqualLayerDurations(placementOrder.length, 0);
+
+        for (var placement=0; placement < placementOrder.length; placement++) {
+            var index = placementOrder[placement];
+            var layerPosFrame;
+            if (beatPlacements != null)
+                layerPosFrame = beatPlacements.positionsInFrames[placement]; // beats never land exactly on frames, so no point reporting the rounding
+            else
+                layerPosFrame = roundToFrame(firstLayerPosFrame + layerOffsetsInFrames[placement], layers[index].name, plan.roundingReport);
+            var operation = createLayerOperation(layers[index], (existingLayerRanges != null ? existingLayerRanges[index] : null),
+                layerPosFrame, layerDurationsInFrames[index]);
+            if (placement > 0 && plan.overlapTransition != OVERLAP_TRANSITION_NONE) {
+                // the transition goes across the frames where the layer overlaps the one before it, and can't
+                // be longer than either of the two layers
+                var prevIndex = placementOrder[placement-1];
+                var overlapInFrames = (layerOffsetsInFrames[placement-1] + layerDurationsInFrames[prevIndex]) - layerOffsetsInFrames[placement];
+                operation.transitionInFrames = Math.max(0, Math.min(Math.round(overlapInFrames), layerDurationsInFrames[index], layerDurationsInFrames[prevIndex]));
+                if (operation.transitionInFrames > 0)
+                    operation.fadeOutOperationIndex = plan.operations.length - 1;
+            }
+            plan.operations.push(operation);
+        }
+    }
+
+    // the keyframes are found and moved as each layer is changed, since finding them moves the playhead.
+    // keyframes stay where they are on the timeline when the in/out points are edited where they are, and
+    // the layers in units keep their durations, so their keyframes stay as they are too (their operations
+    // are made below)
+    if (userSettings.keyframeMode != KEYFRAMES_LEAVE) {
+        for (var i=0; i<plan.operations.length; i++) {
+            if (plan.operations[i].inPointDeltaInFrames == null)
+                plan.operations[i].keyframeMode = userSettings.keyframeMode;
+        }
+    }
+
+    // each unit is moved by moving its layers by the same amount. a transition into a unit goes on
+    // its layer that starts first, and the fade out of a unit on its layer that ends last
+    if (fGroupUnits) {
+        var expandedOperations = new Array();
+        var firstStartOperationIndexes = new Array(); // for each operation, the expanded operation that starts first
+        var lastEndOperationIndexes = new Array(); // for each operation, the expanded operation that ends last
+        for (var i=0; i<plan.operations.length; i++) {
+            var operation = plan.operations[i];
+            var unitIndex = null;
+            for (var index=0; index < layers.length; index++) {
+                if (layers[index].index == operation.layerIndex && layers[index].childLayers != null)
+                    unitIndex = index;
+            }
+            if (unitIndex == null) {
+                firstStartOperationIndexes.push(expandedOperations.length);
+                lastEndOperationIndexes.push(expandedOperations.length);
+                expandedOperations.push(operation);
+                continue;
+            }
+            var moveInFrames = (operation.startFrame != null ? operation.startFrame - snapshot.layerRanges[unitIndex].inFrame : 0);
+            var firstStartIndex = null, lastEndIndex = null;
+            for (var c=0; c<layers[unitIndex].childLayers.length; c++) {
+                var childRange = layers[unitIndex].childRanges[c];
+                if (firstStartIndex == null || childRange.inFrame < expandedOperations[firstStartIndex].existingRange.inFrame)
+                    firstStartIndex = expandedOperations.length;
+                if (lastEndIndex == null || childRange.outFrame >= expandedOperations[lastEndIndex].existingRange.outFrame)
+                    lastEndIndex = expandedOperations.length;
+                expandedOperations.push(createLayerOperation(layers[unitIndex].childLayers[c], childRange,
+                    childRange.inFrame + moveInFrames, childRange.durationInFrames));
+            }
+            firstStartOperationIndexes.push(firstStartIndex);
+            lastEndOperationIndexes.push(lastEndIndex);
+            expandedOperations[firstStartIndex].transitionInFrames = operation.transitionInFrames;
+            expandedOperations[firstStartIndex].fadeOutOperationIndex = operation.fadeOutOperationIndex;
+        }
+        for (var i=0; i<expandedOperations.length; i++) {
+            var operation = expandedOperations[i];
+            if (operation.fadeOutOperationIndex == null)
+                continue;
+            // a transition can't be longer than either of the two layers it's across
+            operation.fadeOutOperationIndex = lastEndOperationIndexes[operation.fadeOutOperationIndex];
+            operation.transitionInFrames = Math.min(operation.transitionInFrames, operation.durationInFrames,
+                expandedOperations[operation.fadeOutOperationIndex].durationInFrames);
+        }
+        plan.operations = expandedOperations;
+    }
+
+    // strip the applied tags from the layer names, or rewrite them with the timing the layers were given
+    if (fLayerNameTags && userSettings.layerNameTagsAfter != LAYER_NAME_TAGS_KEEP) {
+        for (var index=0; index < layers.length; index++) {
+            var tag = layerNameTags[index];
+            if (tag == null)
+                continue;
+            var newLayerName = tag.nameWithoutTag;
+            if (userSettings.layerNameTagsAfter == LAYER_NAME_TAGS_REWRITE) {
+                var tagText = formatLayerNameTagTime(layerDurationsInFrames[index], frameRateInfo);
+                if (tag.gapInFrames != null)
+                    tagText = "hold " + tagText + " gap " + formatLayerNameTagTime(tag.gapInFrames, frameRateInfo);
+                newLayerName += (newLayerName != "" ? " " : "") + "[" + tagText + "]";
+            }
+            // Photoshop doesn't allow empty layer names, so a name that's only a tag keeps it
+            if (newLayerName == "" || newLayerName == layers[index].name)
+                continue;
+            for (var i=0; i<plan.operations.length; i++) {
+                if (plan.operations[i].layerIndex == layers[index].index)
+                    plan.operations[i].newLayerName = newLayerName;
+            }
+        }
+    }
+
+    if (plan.fFrameAnimation) {
+        // a frame can't be shown for less than no time, so frames moved past the next one by jitter or overlap get no delay
+        for (var i=0; i<plan.operations.length; i++) {
+            var operation = plan.operations[i];
+            operation.delayInFrames = (i+1 < plan.operations.length ? plan.operations[i+1].startFrame - operation.startFrame : operation.durationInFrames);
+            operation.delayInFrames = Math.max(operation.delayInFrames, 0);
+        }
+    }
+
+    // the span of the layers. layers that stay where they are only count if their in points are known
+    plan.startFrame = null;
+    plan.endFrame = null;
+    for (var i=0; i<plan.operations.length; i++) {
+        var operation = plan.operations[i];
+        var inFrame = (operation.startFrame != null ? operation.startFrame : (operation.existingRange != null ? operation.existingRange.inFrame : null));
+        if (inFrame == null)
+            continue;
+        if (plan.startFrame == null || inFrame < plan.startFrame)
+            plan.startFrame = inFrame;
+        if (plan.endFrame == null || inFrame + operation.durationInFrames > plan.endFrame)
+            plan.endFrame = inFrame + operation.durationInFrames;
+    }
+
+    // repeat the layers to fill the loop. staggered passes are separated by the stagger gap, so the rhythm carries on
+    plan.loopCopies = null;
+    if (userSettings.loopLayers && !plan.fFrameAnimation) {
+        var loopEndFrame;
+        if (userSettings.loopTarget == LOOP_TARGET_DOCUMENT_END)
+            loopEndFrame = snapshot.documentEndFrame;
+        else if (plan.startFrame != null)
+            loopEndFrame = plan.startFrame + secondsAndFramesToFrames(userSettings.loopLengthSeconds, userSettings.loopLengthFrames, frameRateInfo);
+        plan.loopCopies = getLoopCopies(plan.operations, loopEndFrame, (fStagger ? gapInFrames : 0),
+            userSettings.loopDirection, userSettings.loopTrimLastCopy);
+        for (var i=0; i<plan.loopCopies.length; i++)
+            plan.endFrame = Math.max(plan.endFrame, plan.loopCopies[i].startFrame + plan.loopCopies[i].durationInFrames);
+    }
+
+    // fit the document duration and work area to the layers, and move the playhead past them so the
+    // next batch of layers can be placed after them. frame animation has none of these
+    plan.documentDurationInFrames = null;
+    plan.workAreaInFrame = null;
+    plan.workAreaOutFrame = null;
+    plan.playheadFrame = null;
+    if (plan.endFrame != null && !plan.fFrameAnimation) {
+        var endFrame = Math.round(plan.endFrame);
+        if ((userSettings.documentDuration == DOCUMENT_DURATION_EXTEND && endFrame > snapshot.documentEndFrame) || userSettings.documentDuration == DOCUMENT_DURATION_FIT)
+            plan.documentDurationInFrames = endFrame;
+        if (userSettings.fitWorkArea) {
+            plan.workAreaInFrame = Math.round(plan.startFrame);
+            plan.workAreaOutFrame = endFrame;
+        }
+        if (userSettings.movePlayheadToEnd)
+            plan.playheadFrame = endFrame;
+    }
+    return plan;
+}
+
+
+/**
+ * Carries out a plan from planLayerTimeline() on the timeline. A layer that fails is
+ * recorded and, unless stopping on the first failure, the remaining layers are still changed
+ * @param plan Plan object. Each operation that fails gets fFailed set
+ * @param fStopOnFailure true to stop at the first layer that fails
+ * @return Array of failures, each an object with the layerName and the reason it failed. Empty if none failed
+ */
+function executeLayerTimelinePlan(plan, fStopOnFailure) {
+
+    //
+    // There is a dearth of documentation regarding available methods to query and
+    // change elements on the Photoshop timeline. After multiple web searches and
+    // lots of experimentation I was able to establish methods to change the
+    // duration and position but not query the existing duration or position of layers.
+    //
+    // Unfortunately the methods available to change the duration/position are
+    // relative to their existing position only, so we have to use creative methods to
+    // achieve what we need. For duration, the "moveInTime" and "moveOutTime" actions let
+    // us change the in/out points of a frame relative to their current in/out points (ie,
+    // subtract a seconds/frame value to extend the existing in point left, or add a
+    // seconds/frame value to extend the existing out point right). Since we we can't query
+    // a layer's existing in/out points (ie, position) these methods aren't useful for
+    // setting the duration to an absolute value. However there's a workaround - if we
+    // use "moveOutTime" and specify a very large negative number, we force the out time
+    // to be less than the in time - in response, Photoshop will force the out point of the
+    // layer to be one frame after the in point, which means this method sets the layer's
+    // duration to exactly one frame, starting at the layer's existing in point. We can
+    // then use "moveOutTime" with a positive value equal to the absolute duration
+    // we want. This workaround allows us to set a layer's duration without changing
+    // its position.
+    //
+    // For position there's the "moveAllTime" action, which lets us alter a layer's position
+    // but like "moveInTime" and "moveOutTime" it only works on a relative basis, and
+    // since we can't query the layer's existing position it is not useful by itself for
+    // moving a clip to an absolute timeline location. If we want to change both a
+    // layer's duration and position we first use "moveInTime" with a very large negative
+    // number, which Photoshop will adjust so the in point doesn't go negative, meaning it
+    // sets the in point to 0. We then use "moveOutTime" to set the layer to the desired
+    // duration. Finally, we use "moveAllTime" to move the layer to the desired absolute
+    // location (made possible using relative positioning since adjusting the point moved
+    // the clip's starting position to frame 0)
+    //
+    // Without a way to query a layer's timing we have no way to set a layer's position
+    // without also setting its duration, since the only method we have to move a layer
+    // is to change its in/out points as described above, which means we'll change the
+    // layer's original duration with no way to get that duration back. Newer versions
+    // of Photoshop do expose each layer's in/out points on the layer descriptor (see
+    // getLayerTimelineRange). For older versions we work them out before changing anything,
+    // by moving each layer past the end of the document, which makes the document longer,
+    // and putting it back (see probeLayerTimelineRange). When they're known and the user
+    // wants to keep or scale the existing durations, we skip the in/out point workaround
+    // entirely and move each layer with a single "moveAllTime" relative to its known in
+    // point, followed by a "moveOutTime" for the change in duration.
+    //
+    // Frame animation is much simpler - each selected frame is made the only selected frame
+    // and its delay is set, which is absolute.
+    //
+
+    // finding a layer's keyframes moves the playhead, so it's put back afterwards
+    var playheadFrame = null;
+    for (var i=0; i<plan.operations.length && playheadFrame == null; i++) {
+        if (plan.operations[i].keyframeMode != KEYFRAMES_LEAVE)
+            playheadFrame = getPlayheadPosFrame();
+    }
+
+    var failures = new Array();
+    for (var i=0; i<plan.operations.length; i++) {
+        plan.operations[i].fFailed = false;
+        try {
+            executeLayerOperation(plan, i);
+            if (plan.operations[i].newLayerName != null)
+                setLayerNameByIndex(plan.operations[i].layerIndex, plan.operations[i].newLayerName);
+        } catch(e) {
+            // our own problems are described by strings, Photoshop's by Error objects
+            plan.operations[i].fFailed = true;
+            var failure = new Object();
+            failure.layerName = plan.operations[i].layerName;
+            failure.reason = (typeof e == "string" ? e : e.message);
+            failures.push(failure);
+            if (fStopOnFailure)
+                break;
+        }
+    }
+    if (playheadFrame != null)
+        setPlayheadPosFrame(playheadFrame);
+    return failures;
+}
+
+
+/**
+ * Makes the loop copies planned by planLayerTimeline(), once the layers they copy are in place.
+ * Each copy is duplicated from its layer and moved and trimmed relative to it. Copies go just
+ * above their layers, which moves the layers above up the stack, so the layers are copied
+ * from the top of the stack down and the copies are tracked by their layer IDs
+ * @param plan Plan object. Each copy that's made gets its layerId set
+ * @param fStopOnFailure true to stop at the first copy that fails
+ * @param fGroupCopies true to put the copies into a group
+ * @return Array of failures, each an object with the layerName and the reason it failed. Empty if none failed
+ */
+function executeLayerLoopPlan(plan, fStopOnFailure, fGroupCopies) {
+
+    var copies = plan.loopCopies.slice(0);
+    copies.sort(function(copy1, copy2) {
+        var layerIndexDiff = plan.operations[copy2.operationIndex].layerIndex - plan.operations[copy1.operationIndex].layerIndex;
+        return (layerIndexDiff != 0 ? layerIndexDiff : copy1.pass - copy2.pass);
+    });
+
+    var failures = new Array();
+    var copyLayerIds = new Array();
+    for (var i=0; i<copies.length; i++) {
+        var copy = copies[i];
+        var operation = plan.operations[copy.operationIndex];
+        copy.layerId = null;
+        if (operation.fFailed)
+            continue; // the layer isn't where the copy's position was worked out from
+        try {
+            // layers that weren't repositioned are still at their existing in points
+            var inFrame = (operation.startFrame != null ? operation.startFrame : operation.existingRange.inFrame);
+            var durationInFrames = (operation.durationInFrames != null ? operation.durationInFrames : operation.existingRange.durationInFrames);
+            makeLayerActiveByIndex(operation.layerIndex);
+            duplicateActiveLayer(copy.name);
+            copy.layerId = getActiveLayerId();
+            copyLayerIds.push(copy.layerId);
+            moveLayerRelative(0, copy.startFrame - inFrame);
+            if (copy.durationInFrames != durationInFrames)
+                moveLayerOutPointRelative(0, copy.durationInFrames - durationInFrames);
+        } catch(e) {
+            // our own problems are described by strings, Photoshop's by Error objects
+            failures.push(createLayerProblem(copy.name, (typeof e == "string" ? e : e.message)));
+            if (fStopOnFailure)
+                return failures;
+        }
+    }
+
+    if (fGroupCopies && copyLayerIds.length > 0) {
+        try {
+            selectLayersByIds(copyLayerIds);
+            groupSelectedLayers(plan.operations[0].layerName + " loop");
+        } catch(e) {
+            failures.push(createLayerProblem(plan.operations[0].layerName + " loop", "unable to group the copies (" + (typeof e == "string" ? e : e.message) + ")"));
+        }
+    }
+    return failures;
+}
+
+
+/**
+ * Sets the document duration, work area and playhead as planned by planLayerTimeline(), which
+ * is done after the layers are changed, so the document is never shortened under a layer that
+ * hasn't been moved yet
+ * @param plan Plan object
+ */
+function executeTimelineSettingsPlan(plan) {
+    if (plan.documentDurationInFrames != null)
+        setTimelineDurationInFrames(plan.documentDurationInFrames);
+    if (plan.workAreaInFrame != null)
+        setTimelineWorkArea(plan.workAreaInFrame, plan.workAreaOutFrame);
+    if (plan.playheadFrame != null)
+        setPlayheadPosFrame(plan.playheadFrame);
+}
+
+
+/**
+ * Works out how the active layer's keyframes move with its change in duration, for a layer whose
+ * existing timing is known. The keyframes are found here, before the layer is changed, rather than
+ * when the changes are planned, since finding them moves the playhead. A layer whose keyframes
+ * can't all be moved is left as it is
+ * @param operation Layer operation object, whose layer hasn't been changed yet
+ * @return Array of keyframe moves (see getKeyframeMoves). Throws a description of the problem (string)
+ *  if the keyframes can't be found or moved
+ */
+function getActiveLayerKeyframeMoves(operation) {
+    if (operation.keyframeMode == KEYFRAMES_LEAVE)
+        return new Array();
+    var inFrame = operation.existingRange.inFrame;
+    var keyframeOffsets = new Array();
+    try {
+        var keyframeFrames = getActiveLayerKeyframeFrames(inFrame, operation.existingRange.outFrame);
+        for (var i=0; i<keyframeFrames.length; i++)
+            keyframeOffsets.push(keyframeFrames[i] - inFrame);
+    } catch(e) {
+        throw "unable to find its keyframes (" + (typeof e == "string" ? e : e.message) + ")";
+    }
+    return getKeyframeMoves(keyframeOffsets, operation.existingRange.durationInFrames, operation.durationInFrames, operation.keyframeMode);
+}
+
+
+/**
+ * Changes the active layer's duration by moving its out point, for a layer whose existing
+ * timing is known, and moves its keyframes as planned. Keyframes can only be moved within the
+ * layer, so they're moved before the layer is shortened or after it's lengthened
+ * @param operation Layer operation object, whose layer is already at its new in point
+ * @param keyframeMoves Array of the layer's keyframe moves (see getActiveLayerKeyframeMoves)
+ */
+function changeActiveLayerDuration(operation, keyframeMoves) {
+
+    var inFrame = (operation.startFrame != null ? operation.startFrame : operation.existingRange.inFrame);
+
+    function moveKeyframes() {
+        try {
+            for (var i=0; i<keyframeMoves.length; i++)
+                moveActiveLayerKeyframes(inFrame + keyframeMoves[i].fromOffset, inFrame + keyframeMoves[i].toOffset);
+        } catch(e) {
+            throw "unable to move its keyframes (" + (typeof e == "string" ? e : e.message) + ")";
+        }
+    }
+
+    var durationChangeInFrames = operation.durationInFrames - operation.existingRange.durationInFrames;
+    if (durationChangeInFrames < 0)
+        moveKeyframes();
+    if (durationChangeInFrames != 0)
+        moveLayerOutPointRelative(0, durationChangeInFrames);
+    if (durationChangeInFrames >= 0)
+        moveKeyframes();
+}
+
+
+/**
+ * Carries out one operation of a plan from planLayerTimeline() (see executeLayerTimelinePlan)
+ * @param plan Plan object
+ * @param operationIndex Index of the operation in plan.operations
+ */
+function executeLayerOperation(plan, operationIndex) {
+
+    var operation = plan.operations[operationIndex];
+
+    if (plan.fFrameAnimation) {
+        selectAnimationFrame(operation.layerIndex, false);
+        setSelectedAnimationFramesDelay(operation.delayInFrames / FrameAnimationDelayUnitsPerSecond);
+        return;
+    }
+
+    var existingRange = operation.existingRange;
+    makeLayerActiveByIndex(operation.layerIndex);
+    if (operation.inPointDeltaInFrames != null) {
+        // relative and trim edits move the in/out points by a delta, which doesn't depend on where they are
+        if (operation.inPointDeltaInFrames != 0)
+            moveLayerInPointRelative(0, operation.inPointDeltaInFrames);
+        if (operation.outPointDeltaInFrames != 0)
+            moveLayerOutPointRelative(0, operation.outPointDeltaInFrames);
+        return;
+    }
+    if (!plan.fReposition) {
+        //
+        // user only wants layer durations to be set, with no change to the layers' positions.
+        //
+        if (existingRange != null) {
+            // we know the layer's duration, so adjust its out point by the difference
+            changeActiveLayerDuration(operation, getActiveLayerKeyframeMoves(operation));
+        } else {
+            moveLayerOutPointRelative(-1000000, 0);
+            // note we use duration -1 because the frame count is added to current duration, which we set above to 1 frame
+            moveLayerOutPointRelative(0, operation.durationInFrames - 1);
+        }
+        return;
+    }
+    if (existingRange != null) {
+        // we know where the layer is, so move it without collapsing its in/out points, then
+        // adjust its out point if its duration is changing. its keyframes are found before it's moved
+        var keyframeMoves = getActiveLayerKeyframeMoves(operation);
+        moveLayerRelative(0, operation.startFrame - existingRange.inFrame);
+        changeActiveLayerDuration(operation, keyframeMoves);
+    } else {
+        moveLayerInPointRelative(-1000000, 0);
+        moveLayerOutPointRelative(-1000000, 0);
+        // note we use duration -1 because the frame count is added to current duration, which we set above to 1 frame
+        moveLayerOutPointRelative(0, operation.durationInFrames - 1);
+        moveLayerRelative(0, operation.startFrame);
+    }
+    if (operation.transitionInFrames > 0) {
+        // a cross fade only needs to be on the incoming layer but the fades have to be on both
+        // sides, so the outgoing layer fades out as the incoming one fades in
+        addTransitionToActiveLayer(plan.overlapTransition, true, operation.transitionInFrames);
+        // the fade out is left off the outgoing layer if it couldn't be changed
+        var fadeOutOperation = plan.operations[operation.fadeOutOperationIndex];
+        if (plan.overlapTransition != OVERLAP_TRANSITION_CROSS_FADE && !fadeOutOperation.fFailed) {
+            makeLayerActiveByIndex(fadeOutOperation.layerIndex);
+            addTransitionToActiveLayer(plan.overlapTransition, false, operation.transitionInFrames);
+        }
+    }
+}
+
+
+/**
+ * Creates a layer problem record, for the summary shown at the end (see showScriptActionSummary)
+ * @param layerName Name of the layer
+ * @param reason Description of the problem
+ * @return Layer problem object
+ */
+function createLayerProblem(layerName, reason) {
+    var problem = new Object();
+    problem.layerName = layerName;
+    problem.reason = reason;
+    return problem;
+}
+
+
+/**
+ * Entry point into action portion of script, called after the user settings
+ * have been obtained in the UI portion of the script. Every layer is checked before any
+ * are changed. Layers that can't be changed are skipped if the user chose to skip them,
+ * otherwise nothing is changed, or if a layer fails while being changed the caller is
+ * asked to undo the changes (see runScriptActionAsHistoryStep)
+ * @param userSettings Objects describing action and paramters to perform
+ * @return Result object, with:
+ *  fRollBack               true if a layer failed and the changes made must be undone
+ *  fBackgroundLayerSelected true if the background layer was selected, which is left alone
+ *  layerCount              Number of layers selected, other than the background layer
+ *  changedLayerNames       Array of the names of the layers that were changed
+ *  skippedLayers           Array of the layers found to have a problem before any changes were made (see createLayerProblem)
+ *  failedLayers            Array of the layers that failed while being changed (see createLayerProblem)
+ *  roundingReport          Array of descriptions of the positions/durations rounded to the nearest frame
+ *  errorMessage            Description of a problem that kept any layer from being changed, otherwise null
+ */
+function scriptActionMain(userSettings) {
+
+    const TimelineErrorMessage = "Error reading the timeline. Perhaps you don't have a video timeline or frame animation created yet?";
+
+    var result = new Object();
+    result.fRollBack = false;
+    result.fBackgroundLayerSelected = false;
+    result.layerCount = 0;
+    result.changedLayerNames = new Array();
+    result.skippedLayers = new Array();
+    result.failedLayers = new Array();
+    result.roundingReport = new Array();
+    result.errorMessage = null;
+
+    var snapshot;
+    try {
+        snapshot = getTimelineSnapshot(userSettings, false);
+    } catch(e) {
+        if (e == LayerRangeProbeFailedMessage) {
+            result.fRollBack = true;
+            result.errorMessage = "Nothing was changed because " + e + ".";
+            return result;
+        }
+        // our own problems are described by strings, Photoshop's by Error objects
+        result.errorMessage = (typeof e == "string" ? e : TimelineErrorMessage);
+        return result;
+    }
+    result.fBackgroundLayerSelected = snapshot.fBackgroundLayerSelected;
+    result.layerCount = snapshot.layers.length;
+    if (snapshot.layers.length == 0 && snapshot.selectedLayersIndexes.length > 0) {
+        result.errorMessage = "None of the selected layers are left to change once the groups are expanded and the hidden/adjustment layers are left out.";
+        return result;
+    }
+
+    // check every layer before touching any of them. the layers that pass are planned on their own,
+    // so that skipping a layer doesn't leave a hole in a staggered sequence
+    var plannedSnapshot = new Object();
+    for (var prop in snapshot)
+        plannedSnapshot[prop] = snapshot[prop];
+    plannedSnapshot.layers = new Array();
+    plannedSnapshot.layerRanges = (snapshot.layerRanges != null ? new Array() : null);
+    for (var i=0; i<snapshot.layers.length; i++) {
+        if (snapshot.layers[i].problem != null) {
+            result.skippedLayers.push(createLayerProblem(snapshot.layers[i].name, snapshot.layers[i].problem));
+            continue;
+        }
+        plannedSnapshot.layers.push(snapshot.layers[i]);
+        if (snapshot.layerRanges != null)
+            plannedSnapshot.layerRanges.push(snapshot.layerRanges[i]);
+    }
+    if ((result.skippedLayers.length > 0 && !userSettings.skipFailedLayers) || plannedSnapshot.layers.length == 0)
+        return result;
+
+    // plan every layer before touching any of them, so a problem with the settings doesn't leave a half-done timeline
+    var plan;
+    try {
+        plan = planLayerTimeline(userSettings, plannedSnapshot);
+    } catch(e) {
+        result.errorMessage = (typeof e == "string" ? e : TimelineErrorMessage);
+        return result;
+    }
+    result.roundingReport = plan.roundingReport;
+
+    // copying layers for a loop moves the layers above them up the stack, so the selection is restored by layer ID
+    var selectedLayerIds = null;
+    if (plan.loopCopies != null) {
+        selectedLayerIds = new Array();
+        for (var i=0; i<snapshot.selectedLayersIndexes.length; i++)
+            selectedLayerIds.push(getLayerIdByIndex(snapshot.selectedLayersIndexes[i]));
+    }
+
+    result.failedLayers = executeLayerTimelinePlan(plan, !userSettings.skipFailedLayers);
+    if (plan.loopCopies != null && (result.failedLayers.length == 0 || userSettings.skipFailedLayers))
+        result.failedLayers = result.failedLayers.concat(executeLayerLoopPlan(plan, !userSettings.skipFailedLayers, userSettings.loopGroupCopies));
+    if (result.failedLayers.length == 0 || userSettings.skipFailedLayers) {
+        try {
+            executeTimelineSettingsPlan(plan);
+        } catch(e) {
+            result.failedLayers.push(createLayerProblem("Timeline", "unable to set the document duration, work area or playhead (" + (typeof e == "string" ? e : e.message) + ")"));
+        }
+    }
+    if (result.failedLayers.length > 0 && !userSettings.skipFailedLayers) {
+        result.fRollBack = true;
+        return result;
+    }
+    for (var i=0; i<plan.operations.length; i++) {
+        if (!plan.operations[i].fFailed)
+            result.changedLayerNames.push(plan.operations[i].layerName);
+    }
+
+    // restore the user's layer (or animation frame) selections
+    if (selectedLayerIds != null)
+        selectLayersByIds(selectedLayerIds);
+    else if (snapshot.fFrameAnimation)
+        selectAnimationFrames(snapshot.selectedLayersIndexes);
+    else
+        selectLayersByIndexes(snapshot.selectedLayersIndexes);
+
+    return result;
+}
+
+
+/**
+ * Runs scriptActionMain() as a single history step, going back to the history state from before
+ * the step if a layer failed. Nothing is shown to the user, so the script can run unattended;
+ * when it's run interactively the caller shows the result (see showScriptActionSummary)
+ * @param userSettings User settings object
+ * @return Result object from scriptActionMain()
+ */
+function runScriptActionAsHistoryStep(userSettings) {
+    var doc = app.activeDocument;
+    var historyStateBefore = doc.activeHistoryState;
+    var result = null;
+    doc.suspendHistory(ScriptName + " (script)", "result = scriptActionMain(userSettings)");
+    if (result.fRollBack)
+        doc.activeHistoryState = historyStateBefore;
+    return result;
+}
+
+
+/**
+ * Formats layer problem records for a message, one layer per line
+ * @param problems Array of layer problem objects (see createLayerProblem)
+ * @return Formatted problems
+ */
+function formatLayerProblems(problems) {
+    var lines = new Array();
+    for (var i=0; i<problems.length; i++)
+        lines.push(problems[i].layerName + ": " + problems[i].reason);
+    return lines.join("\n");
+}
+
+
+/**
+ * Determines if a run of the script changed nothing because of a problem, rather than
+ * only some of the layers being skipped or failing
+ * @param result Result object from scriptActionMain()
+ * @return true if nothing was changed because of a problem
+ */
+function isScriptActionFailure(result) {
+    return (result.errorMessage != null || result.fRollBack ||
+        (result.changedLayerNames.length == 0 && result.skippedLayers.length > 0));
+}
+
+
+/**
+ * Describes what happened to the layers, if anything didn't go to plan
+ * @param result Result object from scriptActionMain()
+ * @return Description of what happened, or an empty string if everything went to plan
+ */
+function getScriptActionSummary(result) {
+
+    var msg;
+    if (result.errorMessage != null)
+        msg = result.errorMessage;
+    else if (result.fRollBack)
+        msg = "All changes were undone because the following layer failed:\n\n" + formatLayerProblems(result.failedLayers) +
+            "\n\nTo change the other layers anyway, choose to skip layers that fail.";
+    else if (result.changedLayerNames.length == 0 && result.skippedLayers.length > 0)
+        msg = "Nothing was changed because the following layers can't be changed:\n\n" + formatLayerProblems(result.skippedLayers) +
+            "\n\nDeselect these layers, or choose to skip layers that fail, and run the script again.";
+    else if (result.skippedLayers.length > 0 || result.failedLayers.length > 0) {
+        msg = "Changed " + result.changedLayerNames.length + " of " + result.layerCount + " layers.";
+        if (result.skippedLayers.length > 0)
+            msg += "\n\nThe following layers were skipped:\n" + formatLayerProblems(result.skippedLayers);
+        if (result.failedLayers.length > 0)
+            msg += "\n\nThe following layers failed and may be partly changed:\n" + formatLayerProblems(result.failedLayers);
+    } else if (result.changedLayerNames.length == 0 && result.fBackgroundLayerSelected)
+        msg = "The background layer isn't on the timeline, so there was nothing to change.";
+    else
+        msg = "";
+
+    if (result.errorMessage == null && !result.fRollBack && result.roundingReport.length > 0)
+        msg += (msg.length > 0 ? "\n\n" : "") + "The following layer positions/durations didn't fall on an exact frame boundary and were rounded to the nearest frame:\n\n" +
+            result.roundingReport.join("\n");
+    return msg;
+}
+
+
+/**
+ * Tells the user what happened to the layers, if anything didn't go to plan
+ * @param result Result object from scriptActionMain()
+ */
+function showScriptActionSummary(result) {
+    var msg = getScriptActionSummary(result);
+    if (msg.length > 0)
+        alert(msg, ScriptName);
+}
+
+
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+//
+// JSON portion of script. Photoshop's ExtendScript engine doesn't include a
+// JSON object, so the preset store is converted to and from JSON here. Only
+// what JSON itself supports is handled - objects, arrays, strings, numbers,
+// booleans and null
+//
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Quotes a string for JSON, escaping the characters JSON requires to be escaped
+ * @param str String
+ * @return Quoted string
+ */
+function quoteJsonString(str) {
+    return '"' + str.replace(/[\\"\x00-\x1f]/g, function(ch) {
+        switch (ch) {
+        case '"':
+            return '\\"';
+        case '\\':
+            return '\\\\';
+        case '\n':
+            return '\\n';
+        case '\r':
+            return '\\r';
+        case '\t':
+            return '\\t';
+        default:
+            return "\\u" + ("000" + ch.charCodeAt(0).toString(16)).slice(-4);
+        }
+    }) + '"';
+}
+
+/**
+ * Converts a value to JSON text, indented four spaces per level
+ * @param value Value to convert. Object properties that are functions or undefined are skipped
+ * @param indent Indentation of the value's line, or undefined for the top level
+ * @return JSON text. Throws a description of the problem (string) for values that can't be converted
+ */
+function stringifyJson(value, indent) {
+    if (indent == undefined)
+        indent = "";
+    var innerIndent = indent + "    ";
+    var parts = new Array();
+    switch (typeof value) {
+    case "number":
+        return (isFinite(value) ? String(value) : "null");
+    case "boolean":
+        return String(value);
+    case "string":
+        return quoteJsonString(value);
+    case "object":
+        if (value == null)
+            return "null";
+        if (value instanceof Array) {
+            for (var i=0; i<value.length; i++)
+                parts.push(innerIndent + stringifyJson(value[i], innerIndent));
+            return (parts.length == 0 ? "[]" : "[\n" + parts.join(",\n") + "\n" + indent + "]");
+        }
+        for (var prop in value) {
+            if (typeof value[prop] != "function" && typeof value[prop] != "undefined")
+                parts.push(innerIndent + quoteJsonString(prop) + ": " + stringifyJson(value[prop], innerIndent));
+        }
+        return (parts.length == 0 ? "{}" : "{\n" + parts.join(",\n") + "\n" + indent + "}");
+    }
+    throw "a " + typeof value + " can't be converted to JSON";
+}
+
+/**
+ * Parses JSON text
+ * @param text JSON text
+ * @return Parsed value. Throws a description of the problem (string) for invalid JSON
+ */
+function parseJson(text) {
+
+    var pos = 0;
+
+    function fail(problem) {
+        throw "invalid JSON at character " + (pos+1) + ", " + problem;
+    }
+    function skipWhitespace() {
+        while (pos < text.length && " \t\r\n".indexOf(text.charAt(pos)) != -1)
+            pos++;
+    }
+    function expect(ch) {
+        skipWhitespace();
+        if (text.charAt(pos) != ch)
+            fail("expected '" + ch + "'");
+        pos++;
+    }
+    function parseString() {
+        var result = "";
+        pos++; // opening quote
+        for (;;) {
+            if (pos >= text.length)
+                fail("unterminated string");
+            var ch = text.charAt(pos++);
+            if (ch == '"')
+                return result;
+            if (ch != "\\") {
+                result += ch;
+                continue;
+            }
+            ch = text.charAt(pos++);
+            switch (ch) {
+            case "n": result += "\n"; break;
+            case "r": result += "\r"; break;
+            case "t": result += "\t"; break;
+            case "b": result += "\b"; break;
+            case "f": result += "\f"; break;
+            case "u":
+                if (!/^[0-9a-fA-F]{4}$/.test(text.substr(pos, 4)))
+                    fail("invalid \\u escape");
+                result += String.fromCharCode(parseInt(text.substr(pos, 4), 16));
+                pos += 4;
+                break;
+            default: // \" \\ and \/
+                result += ch;
+                break;
+            }
+        }
+    }
+    function parseArray() {
+        var result = new Array();
+        pos++; // opening bracket
+        skipWhitespace();
+        if (text.charAt(pos) == "]") {
+            pos++;
+            return result;
+        }
+        for (;;) {
+            result.push(parseValue());
+            skipWhitespace();
+            if (text.charAt(pos) != ",")
+                break;
+            pos++;
+        }
+        expect("]");
+        return result;
+    }
+    function parseObject() {
+        var result = new Object();
+        pos++; // opening brace
+        skipWhitespace();
+        if (text.charAt(pos) == "}") {
+            pos++;
+            return result;
+        }
+        for (;;) {
+            skipWhitespace();
+            if (text.charAt(pos) != '"')
+                fail("expected a property name");
+            var prop = parseString();
+            expect(":");
+            result[prop] = parseValue();
+            skipWhitespace();
+            if (text.charAt(pos) != ",")
+                break;
+            pos++;
+        }
+        expect("}");
+        return result;
+    }
+    function parseValue() {
+        skipWhitespace();
+        switch (text.charAt(pos)) {
+        case "{":
+            return parseObject();
+        case "[":
+            return parseArray();
+        case '"':
+            return parseString();
+        }
+        var match = text.substr(pos, 64).match(/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/);
+        if (match == null)
+            fail(pos < text.length ? "unexpected '" + text.charAt(pos) + "'" : "unexpected end of text");
+        pos += match[0].length;
+        switch (match[0]) {
+        case "true":
+            return true;
+        case "false":
+            return false;
+        case "null":
+            return null;
+        }
+        return Number(match[0]);
+    }
+
+    var value = parseValue();
+    skipWhitespace();
+    if (pos < text.length)
+        fail("unexpected text after the end");
+    return value;
+}
+
+
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+//
+// Layer timing portion of script. Exports the selected layers' timing to
+// CSV, JSON or a CMX3600-style EDL, and imports timing from those files,
+// placing each layer absolutely. Timing in the files is in the timeline's
+// framerate
+//
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+
+// values returned by getLayerTimingFileFormat
+const LAYER_TIMING_FORMAT_CSV                   = 0;
+const LAYER_TIMING_FORMAT_JSON                  = 1;
+const LAYER_TIMING_FORMAT_EDL                   = 2;
+
+// how imported timing rows are matched to the selected layers. order matches the UI's dropdown list
+const LAYER_TIMING_MATCH_NAME                   = 0;
+const LAYER_TIMING_MATCH_STACK_POSITION         = 1; // first row to the top selected layer, and so on
+
+/**
+ * Creates a layer timing record, which is what's exported and imported for each layer
+ * @param name Layer name
+ * @param startFrame In point, in frames
+ * @param durationInFrames Duration, in frames
+ * @return Layer timing object
+ */
+function createLayerTiming(name, startFrame, durationInFrames) {
+    var timing = new Object();
+    timing.name = name;
+    timing.startFrame = startFrame;
+    timing.durationInFrames = durationInFrames;
+    return timing;
+}
+
+/**
+ * Determines the format of a layer timing file from its extension
+ * @param file File object
+ * @return One of the LAYER_TIMING_FORMAT_* values. Throws a description of the problem (string) for other extensions
+ */
+function getLayerTimingFileFormat(file) {
+    var match = file.name.match(/\.([^.]*)$/);
+    switch (match ? match[1].toLowerCase() : "") {
+    case "csv":
+        return LAYER_TIMING_FORMAT_CSV;
+    case "json":
+        return LAYER_TIMING_FORMAT_JSON;
+    case "edl":
+        return LAYER_TIMING_FORMAT_EDL;
+    default:
+        throw "\"" + file.name + "\" isn't a .csv, .json or .edl file";
+    }
+}
+
+/**
+ * Quotes a CSV field if it contains a comma, quote or line break
+ * @param value Field value
+ * @return CSV field
+ */
+function quoteCsvField(value) {
+    var str = String(value);
+    return (/[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str);
+}
+
+/**
+ * Parses CSV text into rows of fields. Quoted fields can contain commas, doubled quotes and line breaks
+ * @param text CSV text
+ * @return Array of rows, each an array of field strings. Blank lines are skipped
+ */
+function parseCsv(text) {
+    var rows = new Array();
+    var row = new Array(), field = "", fQuoted = false, fRowHasContent = false;
+    for (var pos=0; pos <= text.length; pos++) {
+        var ch = (pos < text.length ? text.charAt(pos) : "\n");
+        if (fQuoted) {
+            if (ch == '"' && text.charAt(pos+1) == '"') {
+                field += '"';
+                pos++;
+            } else if (ch == '"')
+                fQuoted = false;
+            else
+                field += ch;
+            continue;
+        }
+        switch (ch) {
+        case '"':
+            fQuoted = fRowHasContent = true;
+            break;
+        case ",":
+            row.push(field);
+            field = "";
+            fRowHasContent = true;
+            break;
+        case "\r":
+            break;
+        case "\n":
+            if (fRowHasContent || field != "") {
+                row.push(field);
+                rows.push(row);
+            }
+            row = new Array();
+            field = "";
+            fRowHasContent = false;
+            break;
+        default:
+            field += ch;
+            break;
+        }
+    }
+    return rows;
+}
+
+/**
+ * Formats layer timing for a layer timing file
+ * @param timings Array of layer timing objects (see createLayerTiming)
+ * @param format One of the LAYER_TIMING_FORMAT_* values
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @param title Title for the EDL, ex: the document name
+ * @return Text of the file
+ */
+function formatLayerTimings(timings, format, frameRateInfo, title) {
+    var lines = new Array();
+    switch (format) {
+    case LAYER_TIMING_FORMAT_CSV:
+        lines.push("Name,Start Frame,End Frame,Duration Frames,Start Timecode,End Timecode,Duration Timecode");
+        for (var i=0; i<timings.length; i++) {
+            var timing = timings[i];
+            var endFrame = timing.startFrame + timing.durationInFrames;
+            lines.push([quoteCsvField(timing.name), timing.startFrame, endFrame, timing.durationInFrames,
+                formatTimecode(timing.startFrame, frameRateInfo), formatTimecode(endFrame, frameRateInfo),
+                formatTimecode(timing.durationInFrames, frameRateInfo)].join(","));
+        }
+        break;
+    case LAYER_TIMING_FORMAT_JSON:
+        var file = new Object();
+        file.frameRate = frameRateInfo.frameRate;
+        file.layers = new Array();
+        for (var i=0; i<timings.length; i++) {
+            var timing = timings[i];
+            var layer = new Object();
+            layer.name = timing.name;
+            layer.startFrame = timing.startFrame;
+            layer.endFrame = timing.startFrame + timing.durationInFrames;
+            layer.durationInFrames = timing.durationInFrames;
+            layer.start = formatTimecode(layer.startFrame, frameRateInfo);
+            layer.end = formatTimecode(layer.endFrame, frameRateInfo);
+            layer.duration = formatTimecode(layer.durationInFrames, frameRateInfo);
+            file.layers.push(layer);
+        }
+        lines.push(stringifyJson(file));
+        break;
+    case LAYER_TIMING_FORMAT_EDL:
+        // each layer is an event whose source runs from zero for the layer's duration, recorded at the layer's position.
+        // black from the start of the timeline to the first layer keeps the layers in place when the events are placed
+        // from the first one (see parseLayerTimings)
+        lines.push("TITLE: " + title);
+        lines.push("FCM: " + (frameRateInfo.fDropFrame ? "DROP FRAME" : "NON-DROP FRAME"));
+        lines.push("");
+        var firstStartFrame = null;
+        for (var i=0; i<timings.length; i++) {
+            if (firstStartFrame == null || timings[i].startFrame < firstStartFrame)
+                firstStartFrame = timings[i].startFrame;
+        }
+        var events = new Array();
+        if (firstStartFrame > 0)
+            events.push(createLayerTiming(null, 0, firstStartFrame));
+        events = events.concat(timings);
+        for (var i=0; i<events.length; i++) {
+            var event = events[i];
+            lines.push(("00" + (i+1)).slice(-3) + "  " + (event.name != null ? "AX" : "BL") + "       V     C        " +
+                formatTimecode(0, frameRateInfo) + " " + formatTimecode(event.durationInFrames, frameRateInfo) + " " +
+                formatTimecode(event.startFrame, frameRateInfo) + " " + formatTimecode(event.startFrame + event.durationInFrames, frameRateInfo));
+            if (event.name != null)
+                lines.push("* FROM CLIP NAME: " + event.name);
+            lines.push("");
+        }
+        break;
+    default:
+        throw "Unknown layer timing format value of " + format;
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Parses the text of a layer timing file. Files don't have to come from this script - CSV files
+ * need a header row naming the columns (name, start, and end or duration, in any order, where
+ * "start frame", "start timecode" etc are also recognized) and JSON files can have the layers
+ * array at the top level. Times can be frame counts or anything parseTimecodeEntry accepts,
+ * where a bare number is frames. EDL events without a clip name, like black or color slugs,
+ * aren't layers, so they're left out, with a warning unless they're black
+ * @param text Text of the file
+ * @param format One of the LAYER_TIMING_FORMAT_* values
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @param fEdlFromFirstEvent true to place EDL events relative to the earliest event's record in point rather than
+ *  at their record timecode, since editing programs usually start their record timecode at an hour, like 01:00:00:00
+ * @param warnings Array that descriptions of the parts of the file that were left out are added to
+ * @return Array of layer timing objects (see createLayerTiming), in the file's order. Throws a
+ *  description of the problem (string) if the file can't be parsed
+ */
+function parseLayerTimings(text, format, frameRateInfo, fEdlFromFirstEvent, warnings) {
+
+    var timings = new Array();
+
+    // creates a timing from a row's name, start and end or duration, where each time is a frame count or timecode string
+    function addTiming(rowDescription, name, start, end, duration) {
+        if (name == null || String(name) == "")
+            throw rowDescription + " has no layer name";
+        try {
+            if (start == null || String(start) == "")
+                throw "no start";
+            var startFrame = parseTimecodeEntry(start, frameRateInfo, "f");
+            var durationInFrames;
+            if (duration != null && String(duration) != "")
+                durationInFrames = parseTimecodeEntry(duration, frameRateInfo, "f");
+            else if (end != null && String(end) != "")
+                durationInFrames = parseTimecodeEntry(end, frameRateInfo, "f") - startFrame;
+            else
+                throw "no end or duration";
+            if (startFrame < 0)
+                throw "start is before the beginning of the timeline";
+            if (durationInFrames < 1)
+                throw "duration is less than one frame";
+        } catch(e) {
+            throw rowDescription + " (\"" + name + "\"): " + e;
+        }
+        timings.push(createLayerTiming(String(name), startFrame, durationInFrames));
+    }
+
+    switch (format) {
+    case LAYER_TIMING_FORMAT_CSV:
+        var rows = parseCsv(text);
+        if (rows.length == 0)
+            throw "the file is empty";
+        var columns = new Object(); // column index of each of name, start, end and duration, by the first header starting with it
+        for (var i=0; i<rows[0].length; i++) {
+            var header = rows[0][i].toLowerCase().replace(/[^a-z]/g, "");
+            var roles = ["name", "start", "end", "duration"];
+            for (var r=0; r<roles.length; r++) {
+                if (header.indexOf(roles[r]) == 0 && !(roles[r] in columns))
+                    columns[roles[r]] = i;
+            }
+            if ((header == "layer" || header == "layername") && !("name" in columns))
+                columns.name = i;
+        }
+        if (!("name" in columns) || !("start" in columns) || !("end" in columns || "duration" in columns))
+            throw "the first row must name the columns, with columns for the layer name, start, and end or duration";
+        var getField = function(row, role) {
+            return (role in columns && columns[role] < row.length ? row[columns[role]] : null);
+        };
+        for (var i=1; i<rows.length; i++)
+            addTiming("row " + (i+1), getField(rows[i], "name"), getField(rows[i], "start"), getField(rows[i], "end"), getField(rows[i], "duration"));
+        break;
+    case LAYER_TIMING_FORMAT_JSON:
+        var file = parseJson(text);
+        var layers = (file instanceof Array ? file : file.layers);
+        if (!(layers instanceof Array))
+            throw "the file doesn't have a layers array";
+        for (var i=0; i<layers.length; i++) {
+            var layer = layers[i];
+            addTiming("layer " + (i+1), layer.name,
+                ("startFrame" in layer ? layer.startFrame : layer.start),
+                ("endFrame" in layer ? layer.endFrame : layer.end),
+                ("durationInFrames" in layer ? layer.durationInFrames : layer.duration));
+        }
+        break;
+    case LAYER_TIMING_FORMAT_EDL:
+        // the record in/out of each event places the layer, and the clip name comment after it names the layer
+        var lines = text.split(/\r\n|\r|\n/);
+        var eventRegExp = /^\s*(\d+)\s+(\S+)\s+\S+\s+\S+\s+(?:\d+\s+)?([\d:;.]+)\s+([\d:;.]+)\s+([\d:;.]+)\s+([\d:;.]+)\s*$/;
+        var events = new Array();
+        var firstRecordInFrame = null;
+        for (var i=0; i<lines.length; i++) {
+            var match = lines[i].match(eventRegExp);
+            if (match == null)
+                continue;
+            var event = new Object();
+            event.description = "event " + match[1];
+            event.fBlack = (match[2].toUpperCase() == "BL");
+            event.name = null;
+            for (var j=i+1; j<lines.length && !eventRegExp.test(lines[j]); j++) {
+                var nameMatch = lines[j].match(/^\s*\*\s*FROM CLIP NAME:\s*(.*?)\s*$/i);
+                if (nameMatch != null) {
+                    event.name = nameMatch[1];
+                    break;
+                }
+            }
+            try {
+                event.recordInFrame = parseTimecodeEntry(match[5], frameRateInfo, "f");
+                event.recordOutFrame = parseTimecodeEntry(match[6], frameRateInfo, "f");
+            } catch(e) {
+                throw event.description + ": " + e;
+            }
+            // nameless events still count for where the program starts
+            if (firstRecordInFrame == null || event.recordInFrame < firstRecordInFrame)
+                firstRecordInFrame = event.recordInFrame;
+            events.push(event);
+        }
+        if (events.length == 0)
+            throw "the file has no events";
+        var recordOffsetInFrames = (fEdlFromFirstEvent ? firstRecordInFrame : 0);
+        for (var i=0; i<events.length; i++) {
+            if (events[i].name == null || events[i].name == "") {
+                // black is expected to have no name
+                if (!events[i].fBlack)
+                    warnings.push(events[i].description + " has no clip name");
+                continue;
+            }
+            addTiming(events[i].description, events[i].name, events[i].recordInFrame - recordOffsetInFrames,
+                events[i].recordOutFrame - recordOffsetInFrames, null);
+        }
+        if (timings.length == 0)
+            throw "none of the file's events have a clip name to match to a layer";
+        break;
+    default:
+        throw "Unknown layer timing format value of " + format;
+    }
+    return timings;
+}
+
+/**
+ * Gets the layers' timing for export
+ * @param layers Array of layers, each an object with the layer's index and name (see getTimelineSnapshot)
+ * @param layerRanges Array of the layers' timeline ranges (see getLayerTimelineRange), parallel to layers
+ * @return Array of layer timing objects, with the top layer first
+ */
+function getLayerTimings(layers, layerRanges) {
+    var timings = new Array();
+    var placementOrder = getLayerPlacementOrder(layers, LAYER_ORDER_STACK, 0);
+    for (var i=0; i<placementOrder.length; i++) {
+        var range = layerRanges[placementOrder[i]];
+        timings.push(createLayerTiming(layers[placementOrder[i]].name, range.inFrame, range.durationInFrames));
+    }
+    return timings;
+}
+
+/**
+ * Works out how to place the selected layers from imported timing, as a plan that
+ * executeLayerTimelinePlan() carries out. Each layer is placed absolutely, collapsing
+ * its in/out points and then moving it, since its existing timing doesn't matter
+ * @param timings Array of layer timing objects (see parseLayerTimings)
+ * @param layers Array of the selected layers, each an object with the layer's index, name and problem (see getTimelineSnapshot)
+ * @param matchBy One of the LAYER_TIMING_MATCH_* values
+ * @param frameRateInfo Timeline framerate info (see getFrameRateInfo)
+ * @return Plan object (see planLayerTimeline), with also:
+ *  unmatchedTimingNames    Array of the names of the timing rows no selected layer matched
+ *  unmatchedLayerNames     Array of the names of the selected layers no timing row matched
+ *  skippedLayers           Array of the matched layers that can't be changed (see createLayerProblem), which get no operation
+ */
+function planLayerTimingImport(timings, layers, matchBy, frameRateInfo) {
+
+    var plan = new Object();
+    plan.frameRateInfo = frameRateInfo;
+    plan.fFrameAnimation = false;
+    plan.fReposition = true;
+    plan.overlapTransition = OVERLAP_TRANSITION_NONE;
+    plan.operations = new Array();
+    plan.roundingReport = new Array();
+    plan.documentDurationInFrames = null;
+    plan.workAreaInFrame = null;
+    plan.workAreaOutFrame = null;
+    plan.playheadFrame = null;
+    plan.unmatchedTimingNames = new Array();
+    plan.unmatchedLayerNames = new Array();
+    plan.skippedLayers = new Array();
+
+    var placementOrder = getLayerPlacementOrder(layers, LAYER_ORDER_STACK, 0);
+    var fLayerMatched = new Array();
+    for (var t=0; t<timings.length; t++) {
+        var layerIndex = null; // index into layers
+        if (matchBy == LAYER_TIMING_MATCH_STACK_POSITION) {
+            if (t < placementOrder.length)
+                layerIndex = placementOrder[t];
+        } else {
+            // a name used by more than one layer matches its rows in stack order
+            for (var p=0; p<placementOrder.length && layerIndex == null; p++) {
+                if (!fLayerMatched[placementOrder[p]] && layers[placementOrder[p]].name == timings[t].name)
+                    layerIndex = placementOrder[p];
+            }
+        }
+        if (layerIndex == null) {
+            plan.unmatchedTimingNames.push(timings[t].name);
+            continue;
+        }
+        fLayerMatched[layerIndex] = true;
+        if (layers[layerIndex].problem != null) {
+            plan.skippedLayers.push(createLayerProblem(layers[layerIndex].name, layers[layerIndex].problem));
+            continue;
+        }
+        plan.operations.push(createLayerOperation(layers[layerIndex], null, timings[t].startFrame, timings[t].durationInFrames));
+    }
+    for (var p=0; p<placementOrder.length; p++) {
+        if (!fLayerMatched[placementOrder[p]])
+            plan.unmatchedLayerNames.push(layers[placementOrder[p]].name);
+    }
+
+    plan.startFrame = null;
+    plan.endFrame = null;
+    for (var i=0; i<plan.operations.length; i++) {
+        var operation = plan.operations[i];
+        if (plan.startFrame == null || operation.startFrame < plan.startFrame)
+            plan.startFrame = operation.startFrame;
+        if (plan.endFrame == null || operation.startFrame + operation.durationInFrames > plan.endFrame)
+            plan.endFrame = operation.startFrame + operation.durationInFrames;
+    }
+    return plan;
+}
+
+/**
+ * Gets the layers whose timing is exported or imported. Timing is per layer, so groups
+ * that would be moved as units have each of their layers included instead
+ * @param userSettings User settings object, for how groups are handled and which layers are left out (see getTimelineTargets)
+ * @return Array of layers, each an object with the layer's index, name and problem (see getTimelineSnapshot)
+ */
+function getLayerTimingLayers(userSettings) {
+    var targets = getTimelineTargets(userSettings);
+    var layerIndexes = new Array();
+    for (var i=0; i<targets.length; i++) {
+        if (targets[i].childIndexes == null)
+            layerIndexes.push(targets[i].index);
+        else
+            layerIndexes = layerIndexes.concat(targets[i].childIndexes);
+    }
+    var layers = new Array();
+    for (var i=0; i<layerIndexes.length; i++) {
+        var layer = new Object();
+        layer.index = layerIndexes[i];
+        layer.name = getLayerNameByIndex(layerIndexes[i]);
+        layer.problem = getLayerTimelineProblem(layerIndexes[i]);
+        layers.push(layer);
+    }
+    return layers;
+}
+
+/**
+ * Exports the selected layers' timing to a file, in the format its extension names
+ * @param file File object
+ * @param userSettings User settings object (see getLayerTimingLayers)
+ * @return Number of layers exported. Throws a description of the problem (string) if the timing can't be exported
+ */
+function exportSelectedLayersTiming(file, userSettings) {
+    var format = getLayerTimingFileFormat(file);
+    var layers = getLayerTimingLayers(userSettings);
+    var layerIndexes = new Array();
+    for (var i=0; i<layers.length; i++)
+        layerIndexes.push(layers[i].index);
+    var layerRanges = getLayersTimelineRanges(layerIndexes, false);
+    if (layerRanges == null) {
+        // working the ranges out moves the layers and puts them back, which is kept to a single history step
+        var doc = app.activeDocument;
+        var historyStateBefore = doc.activeHistoryState;
+        var probeError = null;
+        doc.suspendHistory(ScriptName + " (read layer timing)",
+            "try { layerRanges = getLayersTimelineRanges(layerIndexes, true); } catch(e) { probeError = e; }");
+        if (probeError == LayerRangeProbeFailedMessage)
+            doc.activeHistoryState = historyStateBefore;
+        if (probeError != null)
+            throw probeError;
+    }
+    if (layerRanges == null)
+        throw "the layers' in/out points couldn't be found";
+    var timings = getLayerTimings(layers, layerRanges);
+    writeTextFile(file, formatLayerTimings(timings, format, getFrameRateInfo(getTimelineFrameRate()), app.activeDocument.name));
+    return timings.length;
+}
+
+/**
+ * Reads a layer timing file and plans placing the selected layers from it
+ * @param file File object
+ * @param userSettings User settings object, for how the rows are matched to the layers (layerTimingMatchBy), where EDL
+ *  events are placed from (layerTimingEdlFromFirstEvent) and which layers they're matched to (see getLayerTimingLayers)
+ * @return Plan object from planLayerTimingImport(), with also importWarnings, an array of descriptions of the parts of the
+ *  file that were left out. Throws a description of the problem (string) if the file can't be read or parsed
+ */
+function planSelectedLayersTimingImport(file, userSettings) {
+    var format = getLayerTimingFileFormat(file);
+    var frameRateInfo = getFrameRateInfo(getTimelineFrameRate());
+    var warnings = new Array();
+    var timings = parseLayerTimings(readTextFile(file), format, frameRateInfo, userSettings.layerTimingEdlFromFirstEvent, warnings);
+    var plan = planLayerTimingImport(timings, getLayerTimingLayers(userSettings), userSettings.layerTimingMatchBy, frameRateInfo);
+    plan.importWarnings = warnings;
+    return plan;
+}
+
+/**
+ * Entry point into action portion of script for importing layer timing
+ * @param plan Plan object from planLayerTimingImport()
+ * @param fSkipFailedLayers true to carry on with the other layers when a layer fails
+ * @return Result object (see scriptActionMain)
+ */
+function layerTimingImportActionMain(plan, fSkipFailedLayers) {
+
+    var result = new Object();
+    result.fRollBack = false;
+    result.fBackgroundLayerSelected = false;
+    result.layerCount = plan.operations.length + plan.skippedLayers.length;
+    result.changedLayerNames = new Array();
+    result.skippedLayers = plan.skippedLayers;
+    result.failedLayers = new Array();
+    result.roundingReport = new Array();
+    result.errorMessage = null;
+    if ((result.skippedLayers.length > 0 && !fSkipFailedLayers) || plan.operations.length == 0)
+        return result;
+
+    var selectedLayersIndexes = getSelectedLayersIndexes(true);
+    result.failedLayers = executeLayerTimelinePlan(plan, !fSkipFailedLayers);
+    if (result.failedLayers.length > 0 && !fSkipFailedLayers) {
+        result.fRollBack = true;
+        return result;
+    }
+    for (var i=0; i<plan.operations.length; i++) {
+        if (!plan.operations[i].fFailed)
+            result.changedLayerNames.push(plan.operations[i].layerName);
+    }
+    selectLayersByIndexes(selectedLayersIndexes);
+    return result;
+}
+
+/**
+ * Imports layer timing as a single history step, going back to the history state from before
+ * the step if a layer failed. The caller tells the user what happened (see showScriptActionSummary)
+ * @param plan Plan object from planLayerTimingImport()
+ * @param fSkipFailedLayers true to carry on with the other layers when a layer fails
+ * @return Result object from layerTimingImportActionMain()
+ */
+function runLayerTimingImportAsHistoryStep(plan, fSkipFailedLayers) {
+    var doc = app.activeDocument;
+    var historyStateBefore = doc.activeHistoryState;
+    var result = null;
+    doc.suspendHistory(ScriptName + " (import timing)", "result = layerTimingImportActionMain(plan, fSkipFailedLayers)");
+    if (result.fRollBack)
+        doc.activeHistoryState = historyStateBefore;
+    return result;
+}
+
+
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+//
+// User-Interface portion of script
+//
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+
+const UserSettingsDataVersion = 2;
+
+/**
+ * Creates user settings object with default values
+ * @return User settings object
+ */
+function getDefaultUserSettings() {
+    var userSettings = new Object();
+    userSettings.dataVersion = UserSettingsDataVersion;
+    userSettings.durationSeconds = 1;
+    userSettings.durationFrames = 0;
+    userSettings.durationMode = DURATION_MODE_SET;
+    userSettings.scalePercent = 100;
+    userSettings.fitSpanTarget = FIT_SPAN_TARGET_WORK_AREA_END;
+    userSettings.fitSpanEndSeconds = 10;
+    userSettings.fitSpanEndFrames = 0;
+    userSettings.repositionLayers = REPOSITION_LAYERS_NONE;
+    userSettings.gapSeconds = 0;
+    userSettings.gapFrames = 0;
+    userSettings.overlapTransition = OVERLAP_TRANSITION_NONE;
+    userSettings.layerOrder = LAYER_ORDER_STACK;
+    userSettings.layerOrderSeed = 1;
+    userSettings.durationRamp = false;
+    userSettings.durationRampEndSeconds = 0;
+    userSettings.durationRampEndFrames = 6;
+    userSettings.staggerCurve = STAGGER_CURVE_LINEAR;
+    userSettings.jitterFrames = 0;
+    userSettings.jitterSeed = 1;
+    userSettings.audioFilePath = "";
+    userSettings.beatEveryN = 1;
+    userSettings.skipFailedLayers = false;
+    userSettings.documentDuration = DOCUMENT_DURATION_KEEP;
+    userSettings.fitWorkArea = false;
+    userSettings.movePlayheadToEnd = false;
+    userSettings.keyframeMode = KEYFRAMES_LEAVE;
+    userSettings.relativeDeltaSeconds = 0;
+    userSettings.relativeDeltaFrames = 6;
+    userSettings.relativeEdge = LAYER_EDGE_OUT;
+    userSettings.trimEdge = LAYER_EDGE_OUT;
+    userSettings.layerTimingMatchBy = LAYER_TIMING_MATCH_NAME;
+    userSettings.layerTimingEdlFromFirstEvent = true;
+    userSettings.loopLayers = false;
+    userSettings.loopTarget = LOOP_TARGET_DOCUMENT_END;
+    userSettings.loopLengthSeconds = 30;
+    userSettings.loopLengthFrames = 0;
+    userSettings.loopDirection = LOOP_DIRECTION_FORWARD;
+    userSettings.loopTrimLastCopy = true;
+    userSettings.loopGroupCopies = false;
+    userSettings.useLayerNameTags = false;
+    userSettings.layerNameTagsAfter = LAYER_NAME_TAGS_KEEP;
+    userSettings.groupHandling = GROUPS_AS_SELECTED;
+    userSettings.excludeHiddenLayers = false;
+    userSettings.excludeAdjustmentLayers = false;
+    return userSettings;
+}
+
+/**
+ * Creates file object for the config file of older versions of this script, which
+ * held the last-used settings as "setting:value" lines. Its settings are migrated to
+ * the preset store the first time this version of the script runs
+ * @return File object
+ */
+function createConfigFileObj() {
+    return new File(Folder.appData + "/" + ScriptName + "Config.txt");
+}
+
+/**
+ * Creates file object for the preset store, which holds the last-used settings and the
+ * user's named presets as JSON. We use Photoshop's Folder.appData folder, which should
+ * point to a reasonable location to store user-specific data. On Windows this is in
+ * %systemdrive%\ProgramData
+ * @return File object
+ */
+function createPresetStoreFileObj() {
+    return new File(Folder.appData + "/" + ScriptName + " Presets.json");
+}
+
+/**
+ * Converts a stored setting value to the type of the corresponding default setting.
+ * Values from the old config file are always strings
+ * @param value Stored value
+ * @param defaultValue Default value of the setting, which determines the type
+ * @return Value converted to the type of defaultValue, or defaultValue if the value isn't a valid number
+ */
+function convertConfigFileValue(value, defaultValue) {
+    switch (typeof defaultValue) {
+    case "number":
+        return (isNaN(Number(value)) ? defaultValue : Number(value));
+    case "boolean":
+        return (value === true || value == "true");
+    default:
+        return String(value);
+    }
+}
+
+/**
+ * Upgrades stored settings to the current version of the user settings. Each version's
+ * migration falls through to the next one, so settings from any older version are
+ * brought all the way up to date. Settings no longer used are dropped and missing
+ * settings take their default values
+ * @param storedSettings Settings object as stored, which isn't modified
+ * @param dataVersion Version of the user settings the stored settings were saved as. Settings
+ *  without a version are taken to be version 1, since every version since has saved it
+ * @return User settings object. Throws a description of the problem (string) if the
+ *  settings are from a newer version of this script or their version isn't known
+ */
+function upgradeUserSettings(storedSettings, dataVersion) {
+
+    if (dataVersion == null || String(dataVersion) == "")
+        dataVersion = 1;
+    else if (isNaN(Number(dataVersion)) || Number(dataVersion) < 1 || Number(dataVersion) != Math.floor(Number(dataVersion)))
+        throw "the settings have an unknown version (" + dataVersion + ")";
+    dataVersion = Number(dataVersion);
+    if (dataVersion > UserSettingsDataVersion)
+        throw "the settings were saved by a newer version of this script";
+
+    var settings = new Object();
+    for (var prop in storedSettings)
+        settings[prop] = storedSettings[prop];
+
+    switch (dataVersion) {
+    case 1:
+        // version 1 settings were saved to the old config file, with the stagger direction as its own reposition mode
+        if (settings.repositionLayers == REPOSITION_LAYERS_STAGGER_BOTTOM_FIRST) {
+            settings.repositionLayers = REPOSITION_LAYERS_STAGGER;
+            settings.layerOrder = LAYER_ORDER_REVERSE_STACK;
+        }
+        // fall through
+    case UserSettingsDataVersion:
+        break;
+    }
+
+    var userSettings = getDefaultUserSettings();
+    for (var prop in userSettings) {
+        if (prop != "dataVersion" && prop in settings)
+            userSettings[prop] = convertConfigFileValue(settings[prop], userSettings[prop]);
+    }
+    return userSettings;
+}
+
+/**
+ * Reads the entire contents of a UTF-8 text file
+ * @param file File object
+ * @return File contents. Throws a description of the problem (string) if the file can't be read
+ */
+function readTextFile(file) {
+    if (!file.exists)
+        throw "\"" + file.fsName + "\" doesn't exist";
+    file.encoding = "UTF-8";
+    if (!file.open("r"))
+        throw "unable to open \"" + file.fsName + "\"";
+    var text = file.read();
+    file.close();
+    return text;
+}
+
+/**
+ * Writes a UTF-8 text file, replacing any existing file
+ * @param file File object
+ * @param text File contents
+ * Throws a description of the problem (string) if the file can't be written
+ */
+function writeTextFile(file, text) {
+    file.encoding = "UTF-8";
+    if (!file.open("w"))
+        throw "unable to create \"" + file.fsName + "\"";
+    var fWritten = file.write(text);
+    file.close();
+    if (!fWritten)
+        throw "unable to write \"" + file.fsName + "\"";
+}
+
+/**
+ * Creates an empty preset store. The store holds the settings last used in the
+ * dialog and the user's named presets, in the order they're listed in the dialog
+ * @return Preset store object, with lastUsed (user settings object) and presets
+ *  (array of objects with name and settings)
+ */
+function createEmptyPresetStore() {
+    var store = new Object();
+    store.lastUsed = getDefaultUserSettings();
+    store.presets = new Array();
+    return store;
+}
+
+/**
+ * Converts the JSON of a preset store or an exported presets file to a preset store,
+ * upgrading the settings of each preset to the current version
+ * @param text JSON text
+ * @return Preset store object. Throws a description of the problem (string) if the JSON isn't a preset store
+ */
+function presetStoreFromJson(text) {
+    var json = parseJson(text);
+    if (json == null || typeof json != "object" || !(json.presets instanceof Array))
+        throw "the file doesn't contain presets for this script";
+    var store = createEmptyPresetStore();
+    if (json.lastUsed != null && typeof json.lastUsed == "object")
+        store.lastUsed = upgradeUserSettings(json.lastUsed, json.lastUsed.dataVersion);
+    for (var i=0; i<json.presets.length; i++) {
+        var preset = json.presets[i];
+        if (preset == null || typeof preset.name != "string" || preset.settings == null || typeof preset.settings != "object")
+            throw "preset #" + (i+1) + " is missing its name or settings";
+        store.presets.push(createPreset(preset.name, upgradeUserSettings(preset.settings, preset.settings.dataVersion)));
+    }
+    return store;
+}
+
+/**
+ * Converts a preset store to JSON
+ * @param store Preset store object
+ * @param fIncludeLastUsed true to include the last-used settings, false for exporting just the presets
+ * @return JSON text
+ */
+function presetStoreToJson(store, fIncludeLastUsed) {
+    var json = new Object();
+    json.dataVersion = UserSettingsDataVersion;
+    if (fIncludeLastUsed)
+        json.lastUsed = store.lastUsed;
+    json.presets = store.presets;
+    return stringifyJson(json);
+}
+
+/**
+ * Creates a named preset
+ * @param name Name of preset
+ * @param userSettings User settings object
+ * @return Preset object
+ */
+function createPreset(name, userSettings) {
+    var preset = new Object();
+    preset.name = name;
+    preset.settings = userSettings;
+    return preset;
+}
+
+/**
+ * Finds a named preset in a preset store
+ * @param store Preset store object
+ * @param name Name of preset
+ * @return Index of preset in store.presets, or -1 if there's no preset with that name
+ */
+function findPreset(store, name) {
+    for (var i=0; i<store.presets.length; i++) {
+        if (store.presets[i].name == name)
+            return i;
+    }
+    return -1;
+}
+
+/**
+ * Loads the preset store. The first time this version of the script runs, the last-used
+ * settings are migrated from the old config file. If the store can't be read then it's
+ * copied to a ".bak" file, so that saving a new store doesn't lose the user's presets
+ * @return Preset store object, empty if there's no store yet
+ */
+function loadPresetStore() {
+    var fileStore = createPresetStoreFileObj();
+    try {
+        if (fileStore.exists)
+            return presetStoreFromJson(readTextFile(fileStore));
+        var store = createEmptyPresetStore();
+        if (createConfigFileObj().exists)
+            store.lastUsed = loadUserSettingsFromFile(createConfigFileObj());
+        return store;
+    } catch(e) {
+        if (fileStore.exists)
+            fileStore.copy(fileStore.fsName + ".bak");
+    }
+    return createEmptyPresetStore();
+}
+
+/**
+ * Saves the preset store
+ * @param store Preset store object
+ * Throws a description of the problem (string) if the store can't be saved
+ */
+function savePresetStore(store) {
+    writeTextFile(createPresetStoreFileObj(), presetStoreToJson(store, true));
+}
+
+/**
+ * Loads user settings from a preset file. This can be an exported presets file, in
+ * which case the first preset in it is used, or a file in the "setting:value" format
+ * of the old config file. Settings not in the file take their default values
+ * @param file File object
+ * @return User settings object. Throws a description of the problem (string) if the file can't be read
+ */
+function loadUserSettingsFromFile(file) {
+    var text = readTextFile(file);
+    if (/^\s*\{/.test(text)) {
+        var store = presetStoreFromJson(text);
+        if (store.presets.length == 0)
+            throw "there are no presets in \"" + file.fsName + "\"";
+        return store.presets[0].settings;
+    }
+    var storedSettings = new Object();
+    var lines = text.split(/\r?\n/);
+    for (var i=0; i<lines.length; i++) {
+        if (lines[i] == "")
+            continue;
+        var prop = lines[i].substr(0, lines[i].indexOf(':'));
+        storedSettings[prop] = lines[i].substr(prop.length + 1); // everything after the first ':', since values like paths can contain ':'
+    }
+    return upgradeUserSettings(storedSettings, storedSettings.dataVersion);
+}
+
+/**
+ * Loads the settings last used in the dialog, so they can be used as defaults.
+ * If no previous settings are available then defaults are returned
+ * @return User settings object
+ */
+function loadUserSettingsFromConfigFile() {
+    return loadPresetStore().lastUsed;
+}
+
+
+/**
+ * Saves user settings as the last-used settings, so they can be used as defaults
+ * on next invocation of this script
+ * @param userSettings User settings object
+ */
+function saveUserSettingsToConfigFile(userSettings) {
+    try {
+        var store = loadPresetStore();
+        store.lastUsed = userSettings;
+        savePresetStore(store);
+    } catch(e) {
+        // error saving user settings. preserving settings is a want rather than
+        // need, so no real purpose in reporting this error to the user, esp if
+        // the issue occurs every time they execute the script
+    }
+}
+
+/**
+ * Shows the timing each layer will have, as planned by planLayerTimeline(), in a table
+ * @param plan Plan object
+ * @param previewNotes Array of descriptions of how the preview differs from the actual changes (see getTimelineSnapshot)
+ */
+function showLayerTimelinePlanPreview(plan, previewNotes) {
+
+    var frameRateInfo = plan.frameRateInfo;
+    // animation frames have no transitions, so that column shows the delay set on each frame instead
+    var lastColumnTitle = (plan.fFrameAnimation ? "Delay" : "Transition");
+    var windowResource = "dialog {  \
+        orientation: 'column', \
+        alignChildren: ['fill', 'top'],  \
+        margins:15, \
+        lbOperations: ListBox { preferredSize: [620, 320], properties: { numberOfColumns: 5, showHeaders: true, \
+            columnTitles: ['Layer', 'Start', 'End', 'Duration', '" + lastColumnTitle + "'], columnWidths: [180, 100, 100, 140, 100] } }, \
+        stSummary: StaticText { text: '', characters: 80, properties: { multiline: true } }, \
+        closeButton: Button { text: 'Close', properties:{name:'ok'}, size: [120,24], alignment:['center', 'center'] }, \
+    }"
+    var win = new Window(windowResource);
+    win.text = ScriptName + " - Preview";
+
+    for (var i=0; i<plan.operations.length; i++) {
+        var operation = plan.operations[i];
+        var item = win.lbOperations.add("item", operation.layerName + (operation.newLayerName != null ? " -> " + operation.newLayerName : ""));
+        if (operation.startFrame != null) {
+            item.subItems[0].text = formatTimecode(operation.startFrame, frameRateInfo);
+            item.subItems[1].text = formatTimecode(operation.startFrame + operation.durationInFrames, frameRateInfo);
+        } else {
+            item.subItems[0].text = "(unchanged)";
+            item.subItems[1].text = "";
+        }
+        if (operation.durationInFrames != null)
+            item.subItems[2].text = formatFramesForDisplay(operation.durationInFrames, frameRateInfo);
+        else
+            item.subItems[2].text = "in " + (operation.inPointDeltaInFrames > 0 ? "+" : "") + operation.inPointDeltaInFrames + "f, out " +
+                (operation.outPointDeltaInFrames > 0 ? "+" : "") + operation.outPointDeltaInFrames + "f";
+        if (plan.fFrameAnimation)
+            item.subItems[3].text = formatFramesForDisplay(operation.delayInFrames, frameRateInfo);
+        else
+            item.subItems[3].text = (operation.transitionInFrames > 0 ? formatFramesForDisplay(operation.transitionInFrames, frameRateInfo) : "");
+    }
+    if (plan.loopCopies != null) {
+        for (var i=0; i<plan.loopCopies.length; i++) {
+            var copy = plan.loopCopies[i];
+            var item = win.lbOperations.add("item", copy.name);
+            item.subItems[0].text = formatTimecode(copy.startFrame, frameRateInfo);
+            item.subItems[1].text = formatTimecode(copy.startFrame + copy.durationInFrames, frameRateInfo);
+            item.subItems[2].text = formatFramesForDisplay(copy.durationInFrames, frameRateInfo);
+            item.subItems[3].text = "";
+        }
+    }
+
+    var summary;
+    if (plan.startFrame != null)
+        summary = "Layers span " + formatTimecode(plan.startFrame, frameRateInfo) + " to " + formatTimecode(plan.endFrame, frameRateInfo) +
+            ", a total length of " + formatFramesForDisplay(plan.endFrame - plan.startFrame, frameRateInfo) + ".";
+    else
+        summary = "The layers stay where they are, so the total length depends on their existing positions. The document duration, work area and playhead are left as they are.";
+    if (plan.loopCopies != null)
+        summary += " The layers will be looped with " + plan.loopCopies.length + " copies.";
+    if (plan.documentDurationInFrames != null)
+        summary += " The document duration will be set to " + formatFramesForDisplay(plan.documentDurationInFrames, frameRateInfo) + ".";
+    if (plan.workAreaInFrame != null)
+        summary += " The work area will be set to " + formatTimecode(plan.workAreaInFrame, frameRateInfo) + " to " + formatTimecode(plan.workAreaOutFrame, frameRateInfo) + ".";
+    if (plan.playheadFrame != null)
+        summary += " The playhead will be moved to " + formatTimecode(plan.playheadFrame, frameRateInfo) + ".";
+    if (plan.roundingReport.length > 0)
+        summary += " " + plan.roundingReport.length + " position(s)/duration(s) will be rounded to the nearest frame.";
+    if (previewNotes.length > 0)
+        summary += " " + previewNotes.join(" ");
+    win.stSummary.text = summary;
+
+    win.show();
+}
+
+/**
+ * Entry point for user-interface
+ * @param userSettings Settings to initialize the dialog's controls with
+ * @return User settings object with the user's choices, or null if the user cancelled or used the palette instead (see openPalette)
+ */
+function uiMain(userSettings) {
+
+    // timeline framerate info, used to parse and normalize the user's time entries. null if there's no video timeline
+    // or frame animation. for frame animation the "frames" are hundredths of a second, the units of a frame's delay
+    var frameRateInfo = null;
+    try {
+        frameRateInfo = getFrameRateInfo(getActiveTimelineFrameRate());
+    } catch(e) {
+        // reported when the user presses Apply
+    }
+    var fFrameAnimation = (getTimelineKind() == TIMELINE_KIND_FRAME_ANIMATION);
+
+    /**
+      * Parses a pair of seconds and frames time entries into a total number of frames. Each entry
+      * accepts any of the forms supported by parseTimecodeEntry
+      * @param secondsEntryText User's text entry in the seconds field. A bare number is seconds
+      * @param framesEntryText User's text entry in the frames field. A bare number is frames
+      * @return Total number of frames. Throws a description of the problem (string) for invalid entries
+      */
+    function parseSecondsAndFramesEntries(secondsEntryText, framesEntryText) {
+        if (frameRateInfo == null)
+            throw "there is no video timeline";
+        return parseTimecodeEntry(secondsEntryText, frameRateInfo, "s") + parseTimecodeEntry(framesEntryText, frameRateInfo, "f");
+    }
+
+    /**
+      * Parses a scale percentage entry
+      * @param entryText User's text entry, ex: "150" or "150%"
+      * @return Percentage. Throws a description of the problem (string) for invalid entries
+      */
+    function parsePercentEntry(entryText) {
+        var match = String(entryText).replace(/\s+/g, "").match(/^(\d+\.?\d*|\.\d+)%?$/);
+        if (match == null || parseFloat(match[1]) <= 0)
+            throw "value must be a percentage greater than zero";
+        return parseFloat(match[1]);
+    }
+
+    /**
+      * Parses a whole number entry
+      * @param entryText User's text entry
+      * @param minValue Smallest allowed value
+      * @return Value. Throws a description of the problem (string) for invalid entries
+      */
+    function parseWholeNumberEntry(entryText, minValue) {
+        if (!/^\s*\d+\s*$/.test(entryText) || parseInt(entryText, 10) < minValue)
+            throw "value must be a whole number of at least " + minValue;
+        return parseInt(entryText, 10);
+    }
+
+    /**
+      * Validates a pair of seconds and frames time entries, presenting an error dialog for invalid values
+      * @param secondsEntryText User's text entry in the seconds field
+      * @param framesEntryText User's text entry in the frames field
+      * @param entryTextDescription Description of entry, used for error messsage if value is invalid
+      * @return false if value is valid, true otherwise
+      */
+    function validateSecondsAndFramesEntries(secondsEntryText, framesEntryText, entryTextDescription) {
+        try {
+            parseSecondsAndFramesEntries(secondsEntryText, framesEntryText);
+        } catch(e) {
+            alert("Invalid value for " + entryTextDescription + ": " + e + ".\n\nTimes can be entered as whole or decimal numbers, timecode (HH:MM:SS:FF, or HH:MM:SS;FF for drop-frame), with units (1.5s, 500ms, 48f) or combined (2s+6f).", ScriptName);
+            return true;
+        }
+        return false;
+    }
+
+    // resource string defining our script's UI dialog.
+    // modeled from https://www.davidebarranca.com/2012/10/scriptui-window-in-photoshop-palette-vs-dialog/
+    var windowResource = "dialog {  \
+        orientation: 'column', \
+        alignChildren: ['fill', 'top'],  \
+        text: 'Photoshop Timeline Layer Resizer',  \
+        margins:15, \
+        groupPresets: Group { \
+            orientation: 'row', \
+            stPreset: StaticText { text: 'Preset:' }, \
+            ddPreset: DropDownList { preferredSize: [160, -1] }, \
+            savePresetButton: Button { text: 'Save...' }, \
+            renamePresetButton: Button { text: 'Rename...' }, \
+            deletePresetButton: Button { text: 'Delete' }, \
+            importPresetsButton: Button { text: 'Import...' }, \
+            exportPresetsButton: Button { text: 'Export...' }, \
+        }, \
+        tpOptions: TabbedPanel { \
+            alignChildren: ['fill', 'top'], \
+            tabLayers: Tab { \
+                orientation: 'column', \
+                alignChildren: 'left', \
+                margins:15, \
+                text: 'Layers', \
+                groupGroups: Group { \
+                    orientation: 'row', \
+                    stGroupHandling: StaticText { text: 'Selected groups:' }, \
+                    ddGroupHandling: DropDownList { properties: { items: ['Change as Selected', 'Change All Layers in Them', 'Change Their Top-Level Layers', 'Move Each as One Unit'] } } \
+                }, \
+                groupFilters: Group { \
+                    orientation: 'row', \
+                    stFilters: StaticText { text: 'Leave out:' }, \
+                    cbExcludeAdjustmentLayers: Checkbox { text: 'Adjustment layers', value: false }, \
+                    cbExcludeHiddenLayers: Checkbox { text: 'Hidden layers', value: false }, \
+                }, \
+            }, \
+            tabDuration: Tab { \
+                orientation: 'column', \
+                alignChildren: 'left', \
+                margins:15, \
+                text: 'Layer Duration', \
+                groupMode: Group { \
+                    orientation: 'row', \
+                    stDurationMode: StaticText { text: 'Mode:' }, \
+                    ddDurationMode: DropDownList { properties: { items: ['Set duration', 'Keep existing durations', 'Scale by percentage', 'Fit selection to span', 'Relative extend/shrink', 'Trim to playhead'] } } \
+                }, \
+                groupEntry: Group { \
+                    orientation: 'row', \
+                    stDurationSeconds: StaticText { text: 'Seconds:' }, \
+                    etDurationSeconds: EditText { text: '0', characters: 8, justify: 'left'} \
+                    stDurationFrames: StaticText { text: 'Frames:' }, \
+                    etDurationFrames: EditText { text: '15', characters: 8, justify: 'left'} \
+                }, \
+                stDurationPreview: StaticText { text: '', characters: 36 }, \
+                groupRamp: Group { \
+                    orientation: 'row', \
+                    cbDurationRamp: Checkbox { text: 'Ramp duration across layers to:', value: false } \
+                    etDurationRampEnd: EditText { text: '', characters: 12, justify: 'left'} \
+                }, \
+                groupScale: Group { \
+                    orientation: 'row', \
+                    stScale: StaticText { text: 'Scale existing durations by:' }, \
+                    etScalePercent: EditText { text: '100', characters: 6, justify: 'left'} \
+                    stScalePercent: StaticText { text: '%' }, \
+                }, \
+                groupFitSpan: Group { \
+                    orientation: 'row', \
+                    stFitSpan: StaticText { text: 'Fill from playhead to:' }, \
+                    ddFitSpanTarget: DropDownList { properties: { items: ['Time', 'Work Area End', 'Document End'] } } \
+                    etFitSpanEnd: EditText { text: '', characters: 12, justify: 'left'} \
+                }, \
+                groupRelative: Group { \
+                    orientation: 'row', \
+                    stRelativeDelta: StaticText { text: 'Extend by (negative to shrink):' }, \
+                    etRelativeDelta: EditText { text: '', characters: 12, justify: 'left'} \
+                    ddRelativeEdge: DropDownList { properties: { items: ['Out Point', 'In Point', 'Both Ends (Keep Center)'] } } \
+                }, \
+                groupTrim: Group { \
+                    orientation: 'row', \
+                    stTrimEdge: StaticText { text: 'Trim layers under the playhead at their:' }, \
+                    ddTrimEdge: DropDownList { properties: { items: ['Out Point', 'In Point'] } } \
+                }, \
+                groupKeyframes: Group { \
+                    orientation: 'row', \
+                    stKeyframes: StaticText { text: 'Keyframes:' }, \
+                    ddKeyframeMode: DropDownList { properties: { items: ['Leave As Is', 'Scale with Duration', 'Keep Distance from Out Point', 'Keep Distance from Nearer End'] } } \
+                }, \
+                groupNameTags: Group { \
+                    orientation: 'row', \
+                    cbUseLayerNameTags: Checkbox { text: 'Use timing tags in layer names, ex: [3s], [hold 2s gap 6f]', value: false }, \
+                    ddLayerNameTagsAfter: DropDownList { properties: { items: ['Keep Tags', 'Strip Tags', 'Rewrite Tags'] } } \
+                }, \
+            }, \
+            tabRepos: Tab { \
+                orientation: 'column', \
+                alignChildren: 'left', \
+                margins:15, \
+                text: 'Reposition Layers', \
+                rbReposNone: RadioButton { text: 'Do Not Reposition', value: true },\
+                rbReposAtPlayhead: RadioButton { text: 'To Playhead', value: true },\
+                rbReposStagger: RadioButton { text: 'Stagger at Playhead', value: false },\
+                groupGap: Group { \
+                    orientation: 'row', \
+                    stGap: StaticText { text: 'Gap/Overlap (negative for overlap)  Seconds:' }, \
+                    etGapSeconds: EditText { text: '0', characters: 5, justify: 'left'} \
+                    stGapFrames: StaticText { text: 'Frames:' }, \
+                    etGapFrames: EditText { text: '0', characters: 5, justify: 'left'} \
+                }, \
+                groupTransition: Group { \
+                    orientation: 'row', \
+                    stTransition: StaticText { text: 'Transition across overlaps:' }, \
+                    ddTransition: DropDownList { properties: { items: ['None', 'Cross Fade', 'Fade', 'Fade With Black', 'Fade With White'] } } \
+                }, \
+                groupCurve: Group { \
+                    orientation: 'row', \
+                    stStaggerCurve: StaticText { text: 'Stagger curve:' }, \
+                    ddStaggerCurve: DropDownList { properties: { items: ['Linear', 'Ease In', 'Ease Out', 'Ease In/Out', 'Exponential'] } } \
+                    stJitter: StaticText { text: 'Random jitter +/- frames:' }, \
+                    etJitterFrames: EditText { text: '0', characters: 4, justify: 'left'} \
+                    stJitterSeed: StaticText { text: 'Seed:' }, \
+                    etJitterSeed: EditText { text: '1', characters: 6, justify: 'left'} \
+                }, \
+                stStaggerPreview: StaticText { text: '', characters: 60, properties: { multiline: true } }, \
+                rbReposSyncToAudio: RadioButton { text: 'Sync to Audio Beats at Playhead', value: false },\
+                groupAudio: Group { \
+                    orientation: 'row', \
+                    etAudioFile: EditText { text: '', characters: 24, justify: 'left'} \
+                    browseButton: Button { text: 'WAV File...' }, \
+                    stBeatEveryN: StaticText { text: 'Every Nth beat:' }, \
+                    etBeatEveryN: EditText { text: '1', characters: 3, justify: 'left'} \
+                }, \
+                groupOrder: Group { \
+                    orientation: 'row', \
+                    stLayerOrder: StaticText { text: 'Order by:' }, \
+                    ddLayerOrder: DropDownList { properties: { items: ['Stack Order (Top First)', 'Reverse Stack Order (Bottom First)', 'Layer Name', 'Number at End of Layer Name', 'Random'] } } \
+                    stLayerOrderSeed: StaticText { text: 'Seed:' }, \
+                    etLayerOrderSeed: EditText { text: '1', characters: 6, justify: 'left'} \
+                }, \
+            },\
+            tabTimeline: Tab { \
+                orientation: 'column', \
+                alignChildren: 'left', \
+                margins:15, \
+                text: 'Timeline', \
+                groupDocumentDuration: Group { \
+                    orientation: 'row', \
+                    stDocumentDuration: StaticText { text: 'Document duration:' }, \
+                    ddDocumentDuration: DropDownList { properties: { items: ['Leave As Is', 'Extend to End of Layers', 'Extend or Trim to End of Layers'] } } \
+                }, \
+                cbFitWorkArea: Checkbox { text: 'Set work area to the layers', value: false }, \
+                cbMovePlayheadToEnd: Checkbox { text: 'Move playhead to end of layers', value: false }, \
+                groupLayerTiming: Group { \
+                    orientation: 'row', \
+                    stLayerTiming: StaticText { text: 'Layer timing:' }, \
+                    exportTimingButton: Button { text: 'Export...' }, \
+                    importTimingButton: Button { text: 'Import...' }, \
+                    ddTimingMatchBy: DropDownList { properties: { items: ['Match by Name', 'Match by Stack Position'] } } \
+                }, \
+                cbEdlFromFirstEvent: Checkbox { text: 'Place imported EDL events from the first one, not at their timecode', value: true }, \
+            }, \
+            tabLoop: Tab { \
+                orientation: 'column', \
+                alignChildren: 'left', \
+                margins:15, \
+                text: 'Loop', \
+                groupLoopTarget: Group { \
+                    orientation: 'row', \
+                    cbLoopLayers: Checkbox { text: 'Repeat the layers to fill', value: false }, \
+                    ddLoopTarget: DropDownList { properties: { items: ['Document Duration', 'Length'] } } \
+                    etLoopLength: EditText { text: '', characters: 12, justify: 'left'} \
+                }, \
+                groupLoopOptions: Group { \
+                    orientation: 'row', \
+                    stLoopDirection: StaticText { text: 'Passes:' }, \
+                    ddLoopDirection: DropDownList { properties: { items: ['Forward', 'Ping-Pong'] } } \
+                    cbLoopTrimLastCopy: Checkbox { text: 'Trim last copy to end on time', value: true }, \
+                    cbLoopGroupCopies: Checkbox { text: 'Group the copies', value: false }, \
+                }, \
+            }, \
+        }, \
+        cbSkipFailedLayers: Checkbox { text: 'Skip layers that fail instead of undoing all changes', value: false }, \
+        bottomGroup: Group { \
+            cancelButton: Button { text: 'Cancel', properties:{name:'cancel'}, size: [120,24], alignment:['center', 'center'] }, \
+            previewButton: Button { text: 'Preview...', size: [120,24], alignment:['center', 'center'] }, \
+            paletteButton: Button { text: 'Palette...', size: [120,24], alignment:['center', 'center'] }, \
+            applyButton: Button { text: 'Apply', properties:{name:'ok'}, size: [120,24], alignment:['center', 'center'] }, \
+        }\
+    }"
+
+    // create window from resource string
+    var win = new Window(windowResource);
 
     // put script name and version in title of window
-    win.text = ScriptName + " " + ScriptVersion;
+    win.text = ScriptName + " " + ScriptVersion + (fFrameAnimation ? " (Frame Animation)" : "");
+    if (fFrameAnimation) {
+        win.tpOptions.tabDuration.groupEntry.stDurationFrames.text = "1/100 sec:";
+        win.tpOptions.tabRepos.groupGap.stGapFrames.text = "1/100 sec:";
+        win.tpOptions.tabTimeline.enabled = false; // the frames' delays make up the animation, which has no document duration, work area or playhead of its own
+        win.tpOptions.tabLoop.enabled = false;
+        win.tpOptions.tabDuration.groupKeyframes.enabled = false;
+        win.tpOptions.tabDuration.groupNameTags.enabled = false; // animation frames don't have names
+        win.tpOptions.tabLayers.enabled = false;
+    }
+    // the options are split into tabs so the dialog fits on the screen. it opens on the durations
+    win.tpOptions.selection = win.tpOptions.tabDuration;
+
+    // set controls to settings. also used when the user chooses a preset
+    function setControlsFromUserSettings(userSettings) {
+        win.tpOptions.tabDuration.groupEntry.etDurationSeconds.text = userSettings.durationSeconds;
+        win.tpOptions.tabDuration.groupEntry.etDurationFrames.text = userSettings.durationFrames;
+        win.tpOptions.tabDuration.groupMode.ddDurationMode.selection = userSettings.durationMode;
+        win.tpOptions.tabDuration.groupScale.etScalePercent.text = userSettings.scalePercent;
+        win.tpOptions.tabDuration.groupFitSpan.ddFitSpanTarget.selection = userSettings.fitSpanTarget;
+        if (frameRateInfo != null)
+            win.tpOptions.tabDuration.groupFitSpan.etFitSpanEnd.text = formatTimecode(secondsAndFramesToFrames(userSettings.fitSpanEndSeconds,
+                userSettings.fitSpanEndFrames, frameRateInfo), frameRateInfo);
+        win.tpOptions.tabRepos.rbReposNone.value = (userSettings.repositionLayers == REPOSITION_LAYERS_NONE);
+        win.tpOptions.tabRepos.rbReposAtPlayhead.value = (userSettings.repositionLayers == REPOSITION_LAYERS_AT_PLAYHEAD);
+        win.tpOptions.tabRepos.rbReposStagger.value = (userSettings.repositionLayers == REPOSITION_LAYERS_STAGGER);
+        win.tpOptions.tabRepos.groupGap.etGapSeconds.text = userSettings.gapSeconds;
+        win.tpOptions.tabRepos.groupGap.etGapFrames.text = userSettings.gapFrames;
+        win.tpOptions.tabRepos.groupTransition.ddTransition.selection = userSettings.overlapTransition;
+        win.tpOptions.tabDuration.groupRamp.cbDurationRamp.value = userSettings.durationRamp;
+        win.cbSkipFailedLayers.value = userSettings.skipFailedLayers;
+        win.tpOptions.tabTimeline.groupDocumentDuration.ddDocumentDuration.selection = userSettings.documentDuration;
+        win.tpOptions.tabTimeline.cbFitWorkArea.value = userSettings.fitWorkArea;
+        win.tpOptions.tabTimeline.cbMovePlayheadToEnd.value = userSettings.movePlayheadToEnd;
+        win.tpOptions.tabTimeline.groupLayerTiming.ddTimingMatchBy.selection = userSettings.layerTimingMatchBy;
+        win.tpOptions.tabTimeline.cbEdlFromFirstEvent.value = userSettings.layerTimingEdlFromFirstEvent;
+        win.tpOptions.tabLoop.groupLoopTarget.cbLoopLayers.value = userSettings.loopLayers;
+        win.tpOptions.tabLoop.groupLoopTarget.ddLoopTarget.selection = userSettings.loopTarget;
+        if (frameRateInfo != null)
+            win.tpOptions.tabLoop.groupLoopTarget.etLoopLength.text = formatTimecode(secondsAndFramesToFrames(userSettings.loopLengthSeconds,
+                userSettings.loopLengthFrames, frameRateInfo), frameRateInfo);
+        win.tpOptions.tabLoop.groupLoopOptions.ddLoopDirection.selection = userSettings.loopDirection;
+        win.tpOptions.tabLoop.groupLoopOptions.cbLoopTrimLastCopy.value = userSettings.loopTrimLastCopy;
+        win.tpOptions.tabLoop.groupLoopOptions.cbLoopGroupCopies.value = userSettings.loopGroupCopies;
+        win.tpOptions.tabDuration.groupKeyframes.ddKeyframeMode.selection = userSettings.keyframeMode;
+        win.tpOptions.tabDuration.groupNameTags.cbUseLayerNameTags.value = userSettings.useLayerNameTags;
+        win.tpOptions.tabLayers.groupGroups.ddGroupHandling.selection = userSettings.groupHandling;
+        win.tpOptions.tabLayers.groupFilters.cbExcludeAdjustmentLayers.value = userSettings.excludeAdjustmentLayers;
+        win.tpOptions.tabLayers.groupFilters.cbExcludeHiddenLayers.value = userSettings.excludeHiddenLayers;
+        win.tpOptions.tabDuration.groupNameTags.ddLayerNameTagsAfter.selection = userSettings.layerNameTagsAfter;
+        if (frameRateInfo != null) {
+            win.tpOptions.tabDuration.groupRamp.etDurationRampEnd.text = formatTimecode(secondsAndFramesToFrames(userSettings.durationRampEndSeconds,
+                userSettings.durationRampEndFrames, frameRateInfo), frameRateInfo);
+            win.tpOptions.tabDuration.groupRelative.etRelativeDelta.text = formatTimecode(secondsAndFramesToFrames(userSettings.relativeDeltaSeconds,
+                userSettings.relativeDeltaFrames, frameRateInfo), frameRateInfo);
+        }
+        win.tpOptions.tabDuration.groupRelative.ddRelativeEdge.selection = userSettings.relativeEdge;
+        win.tpOptions.tabDuration.groupTrim.ddTrimEdge.selection = userSettings.trimEdge;
+        win.tpOptions.tabRepos.groupCurve.ddStaggerCurve.selection = userSettings.staggerCurve;
+        win.tpOptions.tabRepos.groupCurve.etJitterFrames.text = userSettings.jitterFrames;
+        win.tpOptions.tabRepos.groupCurve.etJitterSeed.text = userSettings.jitterSeed;
+        win.tpOptions.tabRepos.rbReposSyncToAudio.value = (userSettings.repositionLayers == REPOSITION_LAYERS_SYNC_TO_AUDIO);
+        win.tpOptions.tabRepos.groupAudio.etAudioFile.text = userSettings.audioFilePath;
+        win.tpOptions.tabRepos.groupAudio.etBeatEveryN.text = userSettings.beatEveryN;
+        win.tpOptions.tabRepos.groupOrder.ddLayerOrder.selection = userSettings.layerOrder;
+        win.tpOptions.tabRepos.groupOrder.etLayerOrderSeed.text = userSettings.layerOrderSeed;
+    }
+    var baseUserSettings = userSettings; // settings the controls were last set from
+    setControlsFromUserSettings(baseUserSettings);
+
+    // only enable the duration entries used by the selected duration mode
+    function updateDurationModeControlsEnabled() {
+        var durationMode = win.tpOptions.tabDuration.groupMode.ddDurationMode.selection.index;
+        win.tpOptions.tabDuration.groupEntry.enabled = (durationMode == DURATION_MODE_SET);
+        win.tpOptions.tabDuration.stDurationPreview.enabled = (durationMode == DURATION_MODE_SET);
+        win.tpOptions.tabDuration.groupRamp.enabled = (durationMode == DURATION_MODE_SET);
+        win.tpOptions.tabDuration.groupRamp.etDurationRampEnd.enabled = win.tpOptions.tabDuration.groupRamp.cbDurationRamp.value;
+        win.tpOptions.tabDuration.groupScale.enabled = (durationMode == DURATION_MODE_SCALE);
+        win.tpOptions.tabDuration.groupFitSpan.enabled = (durationMode == DURATION_MODE_FIT_SPAN);
+        win.tpOptions.tabDuration.groupFitSpan.etFitSpanEnd.enabled = (win.tpOptions.tabDuration.groupFitSpan.ddFitSpanTarget.selection.index == FIT_SPAN_TARGET_TIME);
+        win.tpOptions.tabDuration.groupRelative.enabled = (durationMode == DURATION_MODE_RELATIVE);
+        win.tpOptions.tabDuration.groupTrim.enabled = (durationMode == DURATION_MODE_TRIM_TO_PLAYHEAD);
+        // the relative and trim modes edit the layers where they are, and leave their keyframes where they are
+        var fEdgeEdit = (durationMode == DURATION_MODE_RELATIVE || durationMode == DURATION_MODE_TRIM_TO_PLAYHEAD);
+        win.tpOptions.tabDuration.groupKeyframes.enabled = (!fEdgeEdit && !fFrameAnimation);
+        // fitting to a span works out the durations and gaps itself, so it has no use for timing tags
+        win.tpOptions.tabDuration.groupNameTags.enabled = (!fEdgeEdit && !fFrameAnimation && durationMode != DURATION_MODE_FIT_SPAN);
+        win.tpOptions.tabDuration.groupNameTags.ddLayerNameTagsAfter.enabled = win.tpOptions.tabDuration.groupNameTags.cbUseLayerNameTags.value;
+        win.tpOptions.tabRepos.enabled = (!fEdgeEdit || win.tpOptions.tabRepos.rbReposSyncToAudio.value);
+    }
+    win.tpOptions.tabDuration.groupMode.ddDurationMode.onChange = function() {
+        updateDurationModeControlsEnabled();
+        updateStaggerPreview();
+    }
+    win.tpOptions.tabDuration.groupRamp.cbDurationRamp.onClick = win.tpOptions.tabDuration.groupMode.ddDurationMode.onChange;
+    win.tpOptions.tabDuration.groupFitSpan.ddFitSpanTarget.onChange = updateDurationModeControlsEnabled;
+    win.tpOptions.tabDuration.groupNameTags.cbUseLayerNameTags.onClick = updateDurationModeControlsEnabled;
+    updateDurationModeControlsEnabled();
+
+    // show the duration normalized to the timeline's framerate as the user types
+    function updateDurationPreview() {
+        var previewText;
+        try {
+            previewText = "= " + formatFramesForDisplay(parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupEntry.etDurationSeconds.text,
+                win.tpOptions.tabDuration.groupEntry.etDurationFrames.text), frameRateInfo);
+        } catch(e) {
+            previewText = "Invalid: " + e;
+        }
+        win.tpOptions.tabDuration.stDurationPreview.text = previewText;
+    }
+    win.tpOptions.tabDuration.groupEntry.etDurationSeconds.onChanging = function() {
+        updateDurationPreview();
+        updateStaggerPreview();
+    }
+    win.tpOptions.tabDuration.groupEntry.etDurationFrames.onChanging = win.tpOptions.tabDuration.groupEntry.etDurationSeconds.onChanging;
+    updateDurationPreview();
+
+    // show the start times of the first few staggered layers relative to the playhead, so the user can see
+    // the effect of the curve, ramp and jitter settings before applying them
+    const StaggerPreviewMaxLayers = 8;
+    // the selected animation frames can't be found without changing their delays, so all the frames are previewed instead
+    var selectedLayerCount = (fFrameAnimation ? getAnimationFrameCount() : getSelectedLayersIndexes(true).length);
+    function updateStaggerPreview() {
+        var previewText;
+        try {
+            if (win.tpOptions.tabDuration.groupMode.ddDurationMode.selection.index != DURATION_MODE_SET)
+                throw "only available for \"Set duration\" mode";
+            var durationInFrames = parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupEntry.etDurationSeconds.text,
+                win.tpOptions.tabDuration.groupEntry.etDurationFrames.text);
+            var durationsInFrames = getRampedLayerDurations(selectedLayerCount, durationInFrames,
+                (win.tpOptions.tabDuration.groupRamp.cbDurationRamp.value ? parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupRamp.etDurationRampEnd.text, "0") : durationInFrames));
+            var offsetsInFrames = getStaggerOffsets(durationsInFrames, parseSecondsAndFramesEntries(win.tpOptions.tabRepos.groupGap.etGapSeconds.text,
+                win.tpOptions.tabRepos.groupGap.etGapFrames.text), win.tpOptions.tabRepos.groupCurve.ddStaggerCurve.selection.index);
+            var jitterFrames = parseWholeNumberEntry(win.tpOptions.tabRepos.groupCurve.etJitterFrames.text, 0);
+            if (jitterFrames > 0)
+                applyStaggerJitter(offsetsInFrames, jitterFrames, parseWholeNumberEntry(win.tpOptions.tabRepos.groupCurve.etJitterSeed.text, 0));
+            var startTimes = new Array();
+            for (var i=0; i < Math.min(offsetsInFrames.length, StaggerPreviewMaxLayers); i++)
+                startTimes.push("+" + formatTimecode(Math.round(offsetsInFrames[i]), frameRateInfo));
+            previewText = "Start times: " + startTimes.join(", ") + (offsetsInFrames.length > StaggerPreviewMaxLayers ? ", ..." : "");
+        } catch(e) {
+            previewText = "Start times preview " + e;
+        }
+        win.tpOptions.tabRepos.stStaggerPreview.text = previewText;
+    }
+    win.tpOptions.tabDuration.groupRamp.etDurationRampEnd.onChanging = updateStaggerPreview;
+    win.tpOptions.tabRepos.groupGap.etGapSeconds.onChanging = updateStaggerPreview;
+    win.tpOptions.tabRepos.groupGap.etGapFrames.onChanging = updateStaggerPreview;
+    win.tpOptions.tabRepos.groupCurve.ddStaggerCurve.onChange = updateStaggerPreview;
+    win.tpOptions.tabRepos.groupCurve.etJitterFrames.onChanging = updateStaggerPreview;
+    win.tpOptions.tabRepos.groupCurve.etJitterSeed.onChanging = updateStaggerPreview;
+    updateStaggerPreview();
+
+    // gap/overlap and transitions only apply when staggering and the audio settings only when syncing
+    // to audio, in which case the beats determine the durations. the layer order applies to both. animation
+    // frames always play in frame order, without transitions
+    function updateStaggerControlsEnabled() {
+        var fStagger = win.tpOptions.tabRepos.rbReposStagger.value;
+        win.tpOptions.tabRepos.groupGap.enabled = fStagger;
+        win.tpOptions.tabRepos.groupTransition.enabled = (fStagger && !fFrameAnimation);
+        win.tpOptions.tabRepos.groupCurve.enabled = fStagger;
+        win.tpOptions.tabRepos.stStaggerPreview.enabled = fStagger;
+        win.tpOptions.tabRepos.groupAudio.enabled = win.tpOptions.tabRepos.rbReposSyncToAudio.value;
+        win.tpOptions.tabRepos.groupOrder.enabled = ((fStagger || win.tpOptions.tabRepos.rbReposSyncToAudio.value) && !fFrameAnimation);
+        win.tpOptions.tabRepos.groupOrder.etLayerOrderSeed.enabled = (win.tpOptions.tabRepos.groupOrder.ddLayerOrder.selection.index == LAYER_ORDER_RANDOM);
+        win.tpOptions.tabDuration.enabled = !win.tpOptions.tabRepos.rbReposSyncToAudio.value;
+    }
+    win.tpOptions.tabRepos.rbReposNone.onClick = updateStaggerControlsEnabled;
+    win.tpOptions.tabRepos.rbReposAtPlayhead.onClick = updateStaggerControlsEnabled;
+    win.tpOptions.tabRepos.rbReposStagger.onClick = updateStaggerControlsEnabled;
+    win.tpOptions.tabRepos.rbReposSyncToAudio.onClick = updateStaggerControlsEnabled;
+    win.tpOptions.tabRepos.groupOrder.ddLayerOrder.onChange = updateStaggerControlsEnabled;
+    updateStaggerControlsEnabled();
+
+    // the loop options only apply when looping, and the length only when looping to a length
+    function updateLoopControlsEnabled() {
+        var fLoop = win.tpOptions.tabLoop.groupLoopTarget.cbLoopLayers.value;
+        win.tpOptions.tabLoop.groupLoopTarget.ddLoopTarget.enabled = fLoop;
+        win.tpOptions.tabLoop.groupLoopTarget.etLoopLength.enabled = (fLoop && win.tpOptions.tabLoop.groupLoopTarget.ddLoopTarget.selection.index == LOOP_TARGET_LENGTH);
+        win.tpOptions.tabLoop.groupLoopOptions.enabled = fLoop;
+    }
+    win.tpOptions.tabLoop.groupLoopTarget.cbLoopLayers.onClick = updateLoopControlsEnabled;
+    win.tpOptions.tabLoop.groupLoopTarget.ddLoopTarget.onChange = updateLoopControlsEnabled;
+    updateLoopControlsEnabled();
 
-    // load settings from config file if available (otherwise defaults will be returned) and set controls to settings
-    var userSettings = loadUserSettingsFromConfigFile();
-    win.panelDuration.etDurationSeconds.text = userSettings.durationSeconds;
-    win.panelDuration.etDurationFrames.text = userSettings.durationFrames;
-    win.panelRepos.rbReposNone.value = (userSettings.repositionLayers == REPOSITION_LAYERS_NONE);
-    win.panelRepos.rbReposAtPlayhead.value = (userSettings.repositionLayers == REPOSITION_LAYERS_AT_PLAYHEAD);
-    win.panelRepos.rbReposStaggerTopFirst.value = (userSettings.repositionLayers == REPOSITION_LAYERS_STAGGER_TOP_FIRST);
-    win.panelRepos.rbReposStaggerBottomFirst.value = (userSettings.repositionLayers == REPOSITION_LAYERS_STAGGER_BOTTOM_FIRST);
+    win.tpOptions.tabRepos.groupAudio.browseButton.onClick = function() {
+        var file = File.openDialog("Select the WAV file to sync the layers to", "*.wav");
+        if (file != null)
+            win.tpOptions.tabRepos.groupAudio.etAudioFile.text = file.fsName;
+    }
 
     // set focus to first edit field at top of dialog
-    win.panelDuration.etDurationSeconds.active = true;
+    win.tpOptions.tabDuration.groupEntry.etDurationSeconds.active = true;
+
+    /**
+      * Validates the user's data entries, presenting an error dialog for the first invalid one
+      * @return true if all entries are valid, false otherwise
+      */
+    function areControlsValid() {
+        var durationMode = win.tpOptions.tabDuration.groupMode.ddDurationMode.selection.index;
+        if ((durationMode == DURATION_MODE_SET && validateSecondsAndFramesEntries(win.tpOptions.tabDuration.groupEntry.etDurationSeconds.text, win.tpOptions.tabDuration.groupEntry.etDurationFrames.text, "duration")) ||
+          validateSecondsAndFramesEntries(win.tpOptions.tabRepos.groupGap.etGapSeconds.text, win.tpOptions.tabRepos.groupGap.etGapFrames.text, "gap/overlap"))
+            return false;
+        if (durationMode == DURATION_MODE_FIT_SPAN && win.tpOptions.tabDuration.groupFitSpan.ddFitSpanTarget.selection.index == FIT_SPAN_TARGET_TIME &&
+          validateSecondsAndFramesEntries(win.tpOptions.tabDuration.groupFitSpan.etFitSpanEnd.text, "0", "span end"))
+            return false;
+        if (win.tpOptions.tabRepos.rbReposSyncToAudio.value) {
+            if (!new File(win.tpOptions.tabRepos.groupAudio.etAudioFile.text).exists) {
+                alert("Choose the WAV file whose beats the layers should be synced to.", ScriptName);
+                return false;
+            }
+            try {
+                parseWholeNumberEntry(win.tpOptions.tabRepos.groupAudio.etBeatEveryN.text, 1);
+            } catch(e) {
+                alert("Invalid value for every Nth beat: " + e + ".", ScriptName);
+                return false;
+            }
+        }
+        if (durationMode == DURATION_MODE_SET && win.tpOptions.tabDuration.groupRamp.cbDurationRamp.value &&
+          validateSecondsAndFramesEntries(win.tpOptions.tabDuration.groupRamp.etDurationRampEnd.text, "0", "ramp duration"))
+            return false;
+        if (durationMode == DURATION_MODE_RELATIVE &&
+          validateSecondsAndFramesEntries(win.tpOptions.tabDuration.groupRelative.etRelativeDelta.text, "0", "extend/shrink amount"))
+            return false;
+        if (win.tpOptions.tabLoop.groupLoopTarget.cbLoopLayers.value && win.tpOptions.tabLoop.groupLoopTarget.ddLoopTarget.selection.index == LOOP_TARGET_LENGTH && !fFrameAnimation) {
+            if (validateSecondsAndFramesEntries(win.tpOptions.tabLoop.groupLoopTarget.etLoopLength.text, "0", "loop length"))
+                return false;
+            if (parseSecondsAndFramesEntries(win.tpOptions.tabLoop.groupLoopTarget.etLoopLength.text, "0") < 1) {
+                alert("The loop length must be at least one frame.", ScriptName);
+                return false;
+            }
+        }
+        if ((durationMode == DURATION_MODE_RELATIVE || durationMode == DURATION_MODE_TRIM_TO_PLAYHEAD) && fFrameAnimation) {
+            alert("Frame animation has no in/out points to extend, shrink or trim. Choose a different duration mode.", ScriptName);
+            return false;
+        }
+        try {
+            parseWholeNumberEntry(win.tpOptions.tabRepos.groupCurve.etJitterFrames.text, 0);
+            parseWholeNumberEntry(win.tpOptions.tabRepos.groupCurve.etJitterSeed.text, 0);
+        } catch(e) {
+            alert("Invalid value for random jitter: " + e + ".", ScriptName);
+            return false;
+        }
+        try {
+            parseWholeNumberEntry(win.tpOptions.tabRepos.groupOrder.etLayerOrderSeed.text, 0);
+        } catch(e) {
+            alert("Invalid value for random order seed: " + e + ".", ScriptName);
+            return false;
+        }
+        if (durationMode == DURATION_MODE_SET &&
+          parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupEntry.etDurationSeconds.text, win.tpOptions.tabDuration.groupEntry.etDurationFrames.text) < 1) {
+            alert("The duration must be at least one frame.", ScriptName);
+            return false;
+        }
+        if (durationMode == DURATION_MODE_SET && win.tpOptions.tabDuration.groupRamp.cbDurationRamp.value &&
+          parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupRamp.etDurationRampEnd.text, "0") < 1) {
+            alert("The ramp duration must be at least one frame.", ScriptName);
+            return false;
+        }
+        if (durationMode == DURATION_MODE_SCALE) {
+            try {
+                parsePercentEntry(win.tpOptions.tabDuration.groupScale.etScalePercent.text);
+            } catch(e) {
+                alert("Invalid value for scale: " + e + ".", ScriptName);
+                return false;
+            }
+        }
+        if (durationMode == DURATION_MODE_KEEP_EXISTING && win.tpOptions.tabRepos.rbReposNone.value) {
+            alert("Keeping the existing durations without repositioning the layers wouldn't change anything. Choose a reposition option or a different duration mode.", ScriptName);
+            return false;
+        }
+        if (durationMode == DURATION_MODE_FIT_SPAN && fFrameAnimation && win.tpOptions.tabDuration.groupFitSpan.ddFitSpanTarget.selection.index != FIT_SPAN_TARGET_TIME) {
+            alert("Frame animation has no work area or document end to fit the frames to. Choose a time to fit them to instead.", ScriptName);
+            return false;
+        }
+        if (durationMode == DURATION_MODE_FIT_SPAN && win.tpOptions.tabRepos.rbReposNone.value && !fFrameAnimation) {
+            alert("Fitting the selection to a span positions the layers starting at the playhead. Choose a reposition option or a different duration mode.", ScriptName);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+      * Gets user settings from the dialog's controls, which must have been validated by areControlsValid().
+      * Settings whose controls don't apply to the chosen modes keep their values from baseUserSettings
+      * @param baseUserSettings User settings object the settings are based on, which isn't modified
+      * @return User settings object
+      */
+    function getUserSettingsFromControls(baseUserSettings) {
+        var userSettings = new Object();
+        for (var prop in baseUserSettings)
+            userSettings[prop] = baseUserSettings[prop];
+        // store the durations normalized, so that frames is always less than the framerate
+        var normalized;
+        userSettings.durationMode = win.tpOptions.tabDuration.groupMode.ddDurationMode.selection.index;
+        switch (userSettings.durationMode) {
+        case DURATION_MODE_SET:
+            normalized = framesToSecondsAndFrames(parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupEntry.etDurationSeconds.text,
+                win.tpOptions.tabDuration.groupEntry.etDurationFrames.text), frameRateInfo);
+            userSettings.durationSeconds = normalized.seconds;
+            userSettings.durationFrames = normalized.frames;
+            userSettings.durationRamp = win.tpOptions.tabDuration.groupRamp.cbDurationRamp.value;
+            if (userSettings.durationRamp) {
+                normalized = framesToSecondsAndFrames(parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupRamp.etDurationRampEnd.text, "0"), frameRateInfo);
+                userSettings.durationRampEndSeconds = normalized.seconds;
+                userSettings.durationRampEndFrames = normalized.frames;
+            }
+            break;
+        case DURATION_MODE_SCALE:
+            userSettings.scalePercent = parsePercentEntry(win.tpOptions.tabDuration.groupScale.etScalePercent.text);
+            break;
+        case DURATION_MODE_FIT_SPAN:
+            userSettings.fitSpanTarget = win.tpOptions.tabDuration.groupFitSpan.ddFitSpanTarget.selection.index;
+            if (userSettings.fitSpanTarget == FIT_SPAN_TARGET_TIME) {
+                normalized = framesToSecondsAndFrames(parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupFitSpan.etFitSpanEnd.text, "0"), frameRateInfo);
+                userSettings.fitSpanEndSeconds = normalized.seconds;
+                userSettings.fitSpanEndFrames = normalized.frames;
+            }
+            break;
+        case DURATION_MODE_RELATIVE:
+            normalized = framesToSecondsAndFrames(parseSecondsAndFramesEntries(win.tpOptions.tabDuration.groupRelative.etRelativeDelta.text, "0"), frameRateInfo);
+            userSettings.relativeDeltaSeconds = normalized.seconds;
+            userSettings.relativeDeltaFrames = normalized.frames;
+            userSettings.relativeEdge = win.tpOptions.tabDuration.groupRelative.ddRelativeEdge.selection.index;
+            break;
+        case DURATION_MODE_TRIM_TO_PLAYHEAD:
+            userSettings.trimEdge = win.tpOptions.tabDuration.groupTrim.ddTrimEdge.selection.index;
+            break;
+        }
+        if (win.tpOptions.tabRepos.rbReposNone.value)
+            userSettings.repositionLayers = REPOSITION_LAYERS_NONE;
+        else if (win.tpOptions.tabRepos.rbReposAtPlayhead.value)
+            userSettings.repositionLayers = REPOSITION_LAYERS_AT_PLAYHEAD;
+        else if (win.tpOptions.tabRepos.rbReposStagger.value)
+            userSettings.repositionLayers = REPOSITION_LAYERS_STAGGER;
+        else
+            userSettings.repositionLayers = REPOSITION_LAYERS_SYNC_TO_AUDIO;
+        normalized = framesToSecondsAndFrames(parseSecondsAndFramesEntries(win.tpOptions.tabRepos.groupGap.etGapSeconds.text,
+            win.tpOptions.tabRepos.groupGap.etGapFrames.text), frameRateInfo);
+        userSettings.gapSeconds = normalized.seconds;
+        userSettings.gapFrames = normalized.frames;
+        userSettings.overlapTransition = win.tpOptions.tabRepos.groupTransition.ddTransition.selection.index;
+        userSettings.staggerCurve = win.tpOptions.tabRepos.groupCurve.ddStaggerCurve.selection.index;
+        userSettings.jitterFrames = parseWholeNumberEntry(win.tpOptions.tabRepos.groupCurve.etJitterFrames.text, 0);
+        userSettings.jitterSeed = parseWholeNumberEntry(win.tpOptions.tabRepos.groupCurve.etJitterSeed.text, 0);
+        userSettings.layerOrder = win.tpOptions.tabRepos.groupOrder.ddLayerOrder.selection.index;
+        userSettings.layerOrderSeed = parseWholeNumberEntry(win.tpOptions.tabRepos.groupOrder.etLayerOrderSeed.text, 0);
+        userSettings.skipFailedLayers = win.cbSkipFailedLayers.value;
+        userSettings.documentDuration = win.tpOptions.tabTimeline.groupDocumentDuration.ddDocumentDuration.selection.index;
+        userSettings.fitWorkArea = win.tpOptions.tabTimeline.cbFitWorkArea.value;
+        userSettings.movePlayheadToEnd = win.tpOptions.tabTimeline.cbMovePlayheadToEnd.value;
+        userSettings.layerTimingMatchBy = win.tpOptions.tabTimeline.groupLayerTiming.ddTimingMatchBy.selection.index;
+        userSettings.layerTimingEdlFromFirstEvent = win.tpOptions.tabTimeline.cbEdlFromFirstEvent.value;
+        userSettings.loopLayers = (win.tpOptions.tabLoop.groupLoopTarget.cbLoopLayers.value && !fFrameAnimation);
+        if (userSettings.loopLayers) {
+            userSettings.loopTarget = win.tpOptions.tabLoop.groupLoopTarget.ddLoopTarget.selection.index;
+            if (userSettings.loopTarget == LOOP_TARGET_LENGTH) {
+                normalized = framesToSecondsAndFrames(parseSecondsAndFramesEntries(win.tpOptions.tabLoop.groupLoopTarget.etLoopLength.text, "0"), frameRateInfo);
+                userSettings.loopLengthSeconds = normalized.seconds;
+                userSettings.loopLengthFrames = normalized.frames;
+            }
+            userSettings.loopDirection = win.tpOptions.tabLoop.groupLoopOptions.ddLoopDirection.selection.index;
+            userSettings.loopTrimLastCopy = win.tpOptions.tabLoop.groupLoopOptions.cbLoopTrimLastCopy.value;
+            userSettings.loopGroupCopies = win.tpOptions.tabLoop.groupLoopOptions.cbLoopGroupCopies.value;
+        }
+        userSettings.keyframeMode = win.tpOptions.tabDuration.groupKeyframes.ddKeyframeMode.selection.index;
+        userSettings.useLayerNameTags = win.tpOptions.tabDuration.groupNameTags.cbUseLayerNameTags.value;
+        userSettings.groupHandling = win.tpOptions.tabLayers.groupGroups.ddGroupHandling.selection.index;
+        userSettings.excludeAdjustmentLayers = win.tpOptions.tabLayers.groupFilters.cbExcludeAdjustmentLayers.value;
+        userSettings.excludeHiddenLayers = win.tpOptions.tabLayers.groupFilters.cbExcludeHiddenLayers.value;
+        userSettings.layerNameTagsAfter = win.tpOptions.tabDuration.groupNameTags.ddLayerNameTagsAfter.selection.index;
+        if (userSettings.repositionLayers == REPOSITION_LAYERS_SYNC_TO_AUDIO) {
+            userSettings.audioFilePath = win.tpOptions.tabRepos.groupAudio.etAudioFile.text;
+            userSettings.beatEveryN = parseWholeNumberEntry(win.tpOptions.tabRepos.groupAudio.etBeatEveryN.text, 1);
+        }
+        return userSettings;
+    }
+
+    // named presets. the first item in the list is the settings the dialog opened with, so the
+    // user can get back to them after trying presets. each change to the presets is saved right away
+    var presetStore = loadPresetStore();
+    var fUpdatingPresetList = false; // selecting an item in code fires onChange, which mustn't change the controls
+    function updatePresetList(presetName) {
+        var ddPreset = win.groupPresets.ddPreset;
+        fUpdatingPresetList = true;
+        ddPreset.removeAll();
+        ddPreset.add("item", "(Last Used)");
+        for (var i=0; i<presetStore.presets.length; i++)
+            ddPreset.add("item", presetStore.presets[i].name);
+        ddPreset.selection = findPreset(presetStore, presetName) + 1; // no preset selects "(Last Used)"
+        fUpdatingPresetList = false;
+    }
+    function updatePresetButtonsEnabled() {
+        var fPresetSelected = (win.groupPresets.ddPreset.selection != null && win.groupPresets.ddPreset.selection.index > 0);
+        win.groupPresets.renamePresetButton.enabled = fPresetSelected;
+        win.groupPresets.deletePresetButton.enabled = fPresetSelected;
+        win.groupPresets.exportPresetsButton.enabled = (presetStore.presets.length > 0);
+    }
+    function getSelectedPresetName() {
+        var selection = win.groupPresets.ddPreset.selection;
+        return ((selection != null && selection.index > 0) ? presetStore.presets[selection.index-1].name : "");
+    }
+    function savePresetStoreReportingErrors() {
+        try {
+            savePresetStore(presetStore);
+        } catch(e) {
+            alert("Unable to save the presets: " + e, ScriptName);
+        }
+    }
+    updatePresetList("");
+    updatePresetButtonsEnabled();
+
+    win.groupPresets.ddPreset.onChange = function() {
+        if (fUpdatingPresetList || win.groupPresets.ddPreset.selection == null)
+            return;
+        var selectedIndex = win.groupPresets.ddPreset.selection.index;
+        baseUserSettings = (selectedIndex == 0 ? userSettings : presetStore.presets[selectedIndex-1].settings);
+        setControlsFromUserSettings(baseUserSettings);
+        updateDurationModeControlsEnabled();
+        updateDurationPreview();
+        updateStaggerControlsEnabled();
+        updateStaggerPreview();
+        updateLoopControlsEnabled();
+        updatePresetButtonsEnabled();
+    }
+    win.groupPresets.savePresetButton.onClick = function() {
+        if (!areControlsValid())
+            return;
+        var presetName = prompt("Save the current settings as the preset named:", getSelectedPresetName(), ScriptName);
+        if (presetName == null || presetName.replace(/\s+/g, "") == "")
+            return;
+        var presetIndex = findPreset(presetStore, presetName);
+        if (presetIndex != -1 && !confirm("Replace the existing preset \"" + presetName + "\"?", false, ScriptName))
+            return;
+        var preset = createPreset(presetName, getUserSettingsFromControls(baseUserSettings));
+        if (presetIndex != -1)
+            presetStore.presets[presetIndex] = preset;
+        else
+            presetStore.presets.push(preset);
+        savePresetStoreReportingErrors();
+        baseUserSettings = preset.settings;
+        updatePresetList(presetName);
+        updatePresetButtonsEnabled();
+    }
+    win.groupPresets.renamePresetButton.onClick = function() {
+        var oldName = getSelectedPresetName();
+        var newName = prompt("Rename the preset \"" + oldName + "\" to:", oldName, ScriptName);
+        if (newName == null || newName.replace(/\s+/g, "") == "" || newName == oldName)
+            return;
+        if (findPreset(presetStore, newName) != -1) {
+            alert("There's already a preset named \"" + newName + "\".", ScriptName);
+            return;
+        }
+        presetStore.presets[findPreset(presetStore, oldName)].name = newName;
+        savePresetStoreReportingErrors();
+        updatePresetList(newName);
+    }
+    win.groupPresets.deletePresetButton.onClick = function() {
+        var presetName = getSelectedPresetName();
+        if (!confirm("Delete the preset \"" + presetName + "\"?", false, ScriptName))
+            return;
+        presetStore.presets.splice(findPreset(presetStore, presetName), 1);
+        savePresetStoreReportingErrors();
+        updatePresetList(""); // controls keep the deleted preset's settings, in case the user wants to save them under another name
+        updatePresetButtonsEnabled();
+    }
+    win.groupPresets.importPresetsButton.onClick = function() {
+        var file = File.openDialog("Select the presets file to import", "*.json");
+        if (file == null)
+            return;
+        var importedStore;
+        try {
+            importedStore = presetStoreFromJson(readTextFile(file));
+        } catch(e) {
+            alert("Unable to import \"" + file.fsName + "\": " + e, ScriptName);
+            return;
+        }
+        var importedCount = 0;
+        for (var i=0; i<importedStore.presets.length; i++) {
+            var preset = importedStore.presets[i];
+            var presetIndex = findPreset(presetStore, preset.name);
+            if (presetIndex == -1)
+                presetStore.presets.push(preset);
+            else if (confirm("Replace the existing preset \"" + preset.name + "\" with the imported one?", false, ScriptName))
+                presetStore.presets[presetIndex] = preset;
+            else
+                continue;
+            importedCount++;
+        }
+        savePresetStoreReportingErrors();
+        updatePresetList(getSelectedPresetName());
+        updatePresetButtonsEnabled();
+        alert("Imported " + importedCount + " of the " + importedStore.presets.length + " presets in \"" + file.fsName + "\".", ScriptName);
+    }
+    win.groupPresets.exportPresetsButton.onClick = function() {
+        var file = File.saveDialog("Export all presets to", "*.json");
+        if (file == null)
+            return;
+        try {
+            writeTextFile(file, presetStoreToJson(presetStore, false));
+        } catch(e) {
+            alert("Unable to export the presets: " + e, ScriptName);
+        }
+    }
+
+    // export the selected layers' timing, or plan placing them from a timing file. the import is
+    // carried out once the dialog is closed, as its own history step
+    var layerTimingImportPlan = null;
+    win.tpOptions.tabTimeline.groupLayerTiming.exportTimingButton.onClick = function() {
+        if (!areControlsValid())
+            return;
+        var file = File.saveDialog("Export the selected layers' timing to", "Layer timing:*.csv;*.json;*.edl");
+        if (file == null)
+            return;
+        var exportedCount;
+        try {
+            exportedCount = exportSelectedLayersTiming(file, getUserSettingsFromControls(baseUserSettings));
+        } catch(e) {
+            alert("Unable to export the layers' timing: " + (typeof e == "string" ? e : e.message), ScriptName);
+            return;
+        }
+        alert("Exported the timing of " + exportedCount + " layer(s) to \"" + file.fsName + "\".", ScriptName);
+    }
+    win.tpOptions.tabTimeline.groupLayerTiming.importTimingButton.onClick = function() {
+        // the settings are saved when the dialog closes for the import, the same as for Apply
+        if (!areControlsValid())
+            return;
+        var file = File.openDialog("Select the layer timing file to import", "Layer timing:*.csv;*.json;*.edl");
+        if (file == null)
+            return;
+        var plan;
+        try {
+            plan = planSelectedLayersTimingImport(file, getUserSettingsFromControls(baseUserSettings));
+        } catch(e) {
+            alert("Unable to import \"" + file.fsName + "\": " + (typeof e == "string" ? e : e.message), ScriptName);
+            return;
+        }
+        if (plan.operations.length == 0 && plan.skippedLayers.length == 0) {
+            alert("None of the selected layers match the timing in \"" + file.fsName + "\".", ScriptName);
+            return;
+        }
+        var unmatched = new Array();
+        if (plan.importWarnings.length > 0)
+            unmatched.push("Left out of the file:\n" + plan.importWarnings.join("\n"));
+        if (plan.unmatchedTimingNames.length > 0)
+            unmatched.push("Not matched to a selected layer:\n" + plan.unmatchedTimingNames.join("\n"));
+        if (plan.unmatchedLayerNames.length > 0)
+            unmatched.push("Selected layers left as they are:\n" + plan.unmatchedLayerNames.join("\n"));
+        if (unmatched.length > 0 && !confirm(unmatched.join("\n\n") + "\n\nImport the timing of the layers that matched?", false, ScriptName))
+            return;
+        layerTimingImportPlan = plan;
+        win.close(3);
+    }
+
+    // plan the changes with the current settings and show them without changing anything
+    win.bottomGroup.previewButton.onClick = function() {
+        if (!areControlsValid())
+            return;
+        var plan;
+        try {
+            var previewUserSettings = getUserSettingsFromControls(baseUserSettings);
+            var snapshot = getTimelineSnapshot(previewUserSettings, true);
+            plan = planLayerTimeline(previewUserSettings, snapshot);
+        } catch(e) {
+            alert("Unable to preview the changes: " + e, ScriptName);
+            return;
+        }
+        showLayerTimelinePlanPreview(plan, snapshot.previewNotes);
+    }
 
     // define on-click handlers for our Apply and Cancel buttons
     win.bottomGroup.applyButton.onClick = function() {
-        // validate user's data entries
-        if (validateNumberEntry(win.panelDuration.etDurationSeconds.text, "duration seconds") ||
-          validateNumberEntry(win.panelDuration.etDurationFrames.text, "duration frames"))
-            return;
-        // settings are valid. close dialog, after which values will be processed and action performed
-        return win.close(0);
+        // close dialog if settings are valid, after which values will be processed and action performed
+        if (areControlsValid())
+            return win.close(0);
     }
     win.bottomGroup.cancelButton.onClick = function() {
         return win.close(1);
     }
+    // the palette re-applies the last-used settings, so the settings are saved the same as for Apply
+    win.bottomGroup.paletteButton.onClick = function() {
+        if (areControlsValid())
+            return win.close(2);
+    }
 
     // present dialog to user
-    if (win.show() == 0) {
+    switch (win.show()) {
+    case 0:
         // save user's settings to config file so they're used as defaults next time script is run
-        userSettings.durationSeconds = parseInt(win.panelDuration.etDurationSeconds.text);
-        userSettings.durationFrames = parseInt(win.panelDuration.etDurationFrames.text);
-        if (win.panelRepos.rbReposNone.value)
-            userSettings.repositionLayers = REPOSITION_LAYERS_NONE;
-        else if (win.panelRepos.rbReposAtPlayhead.value)
-            userSettings.repositionLayers = REPOSITION_LAYERS_AT_PLAYHEAD;
-        else if (win.panelRepos.rbReposStaggerTopFirst.value)
-            userSettings.repositionLayers = REPOSITION_LAYERS_STAGGER_TOP_FIRST;
-        else
-            userSettings.repositionLayers = REPOSITION_LAYERS_STAGGER_BOTTOM_FIRST;
+        userSettings = getUserSettingsFromControls(baseUserSettings);
         saveUserSettingsToConfigFile(userSettings);
         return userSettings;
-    } else
+    case 2:
+        saveUserSettingsToConfigFile(getUserSettingsFromControls(baseUserSettings));
+        openPalette();
+        return null;
+    case 3:
+        userSettings = getUserSettingsFromControls(baseUserSettings);
+        saveUserSettingsToConfigFile(userSettings);
+        showScriptActionSummary(runLayerTimingImportAsHistoryStep(layerTimingImportPlan, userSettings.skipFailedLayers));
+        return null;
+    default:
+        return null;
+    }
+}
+
+
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+//
+// Palette portion of script. A palette that stays open for fine-tuning the
+// selected layers a few frames at a time, each button press being its own
+// history step. Photoshop can't dock ScriptUI windows, and a ScriptUI palette
+// closes as soon as the script that opened it ends, unless it's opened by a
+// BridgeTalk message to Photoshop. The palette's buttons can't use Photoshop
+// once that message is done either, so each one sends Photoshop its change as
+// a BridgeTalk message of its own, which Photoshop runs as soon as it's free
+//
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Changes each selected layer as a single named history step, for a palette button.
+ * A layer that can't be changed doesn't stop the others from being changed
+ * @param historyStepName Name of the change, shown in the History panel
+ * @param changeActiveLayer Function that changes the active layer, called with the layer's index
+ */
+function changeSelectedLayersAsHistoryStep(historyStepName, changeActiveLayer) {
+
+    var selectedLayersIndexes = getSelectedLayersIndexes(true);
+    var failedLayers = new Array();
+    var fRollBack = false;
+    function changeSelectedLayers() {
+        for (var i=0; i<selectedLayersIndexes.length && !fRollBack; i++) {
+            try {
+                makeLayerActiveByIndex(selectedLayersIndexes[i]);
+                changeActiveLayer(selectedLayersIndexes[i]);
+            } catch(e) {
+                if (e == LayerRangeProbeFailedMessage)
+                    fRollBack = true;
+                // our own problems are described by strings, Photoshop's by Error objects
+                failedLayers.push(createLayerProblem(getLayerNameByIndex(selectedLayersIndexes[i]), (typeof e == "string" ? e : e.message)));
+            }
+        }
+        selectLayersByIndexes(selectedLayersIndexes);
+    }
+    var doc = app.activeDocument;
+    var historyStateBefore = doc.activeHistoryState;
+    doc.suspendHistory(ScriptName + ": " + historyStepName, "changeSelectedLayers()");
+    if (fRollBack)
+        doc.activeHistoryState = historyStateBefore;
+
+    if (fRollBack)
+        alert("Nothing was changed because " + LayerRangeProbeFailedMessage + ".", ScriptName);
+    else if (failedLayers.length > 0)
+        alert("The following layers couldn't be changed:\n\n" + formatLayerProblems(failedLayers), ScriptName);
+}
+
+/**
+ * Gets the active layer's timeline range, for the palette buttons that work from the layer's
+ * existing in or out point
+ * @param layerIndex Index of the active layer
+ * @return Range object (see getLayerTimelineRange). Throws a description of the problem (string)
+ *  if the layer's timing can't be found
+ */
+function getPaletteLayerTimelineRange(layerIndex) {
+    var range = getLayerTimelineRange(layerIndex, true);
+    if (range == null)
+        throw "the layer's in/out points couldn't be found";
+    return range;
+}
+
+/**
+ * Has Photoshop run code as a script of its own, through a BridgeTalk message, with this script
+ * loaded in library mode first if it isn't already. Photoshop runs the message as soon as it's free
+ * @param code Code to run
+ */
+function sendScriptToPhotoshop(code) {
+    var bt = new BridgeTalk();
+    bt.target = BridgeTalk.appSpecifier; // this copy of Photoshop, when more than one version is installed
+    bt.body = "if (typeof runPaletteCommand == \"undefined\") {\n" +
+        "    TimelineLayerResizerLibraryMode = true;\n" +
+        "    $.evalFile(new File(" + quoteJsonString(ScriptFilePath) + "));\n" +
+        "    TimelineLayerResizerLibraryMode = false;\n" +
+        "}\n" + code;
+    bt.onError = function(message) {
+        alert("Photoshop couldn't run the change: " + message.body, ScriptName);
+    }
+    bt.send();
+}
+
+/**
+ * Opens the palette once this script ends. A palette only stays open when it's opened by a
+ * BridgeTalk message to Photoshop, so paletteMain() is run through one
+ */
+function openPalette() {
+    // the palette is kept in a global, since it closes once nothing refers to it
+    sendScriptToPhotoshop("TimelineLayerResizerPalette = paletteMain();");
+}
+
+/**
+ * Parses the palette's step entry
+ * @param stepText User's text entry in the step field. A bare number is frames
+ * @return Step in frames, or null if the entry is invalid, after presenting an error dialog
+ */
+function getPaletteStepInFrames(stepText) {
+    var stepInFrames;
+    try {
+        stepInFrames = parseTimecodeEntry(stepText, getFrameRateInfo(getTimelineFrameRate()), "f");
+        if (stepInFrames < 1)
+            throw "must be at least one frame";
+    } catch(e) {
+        alert("Invalid value for step: " + (typeof e == "string" ? e : e.message) + ".", ScriptName);
         return null;
+    }
+    return stepInFrames;
+}
+
+/**
+ * Carries out a palette button's change, in Photoshop. The palette sends this through
+ * sendScriptToPhotoshop(), since its buttons can't use Photoshop themselves
+ * @param command One of the PALETTE_COMMAND_* values
+ * @param stepText User's text entry in the palette's step field, for the buttons that move by a step
+ */
+function runPaletteCommand(command, stepText) {
+
+    var problem = getScriptPrerequisiteProblem();
+    if (problem == null && command != PALETTE_COMMAND_REAPPLY && getTimelineKind() != TIMELINE_KIND_VIDEO)
+        problem = "The palette's buttons only work on a video timeline.";
+    if (problem != null) {
+        alert(problem, ScriptName);
+        return;
+    }
+
+    switch (command) {
+    case PALETTE_COMMAND_IN_POINT_TO_PLAYHEAD:
+        changeSelectedLayersAsHistoryStep("In Point to Playhead", function(layerIndex) {
+            moveLayerInPointRelative(0, Math.round(getPlayheadPosFrame()) - getPaletteLayerTimelineRange(layerIndex).inFrame);
+        });
+        return;
+    case PALETTE_COMMAND_OUT_POINT_TO_PLAYHEAD:
+        changeSelectedLayersAsHistoryStep("Out Point to Playhead", function(layerIndex) {
+            moveLayerOutPointRelative(0, Math.round(getPlayheadPosFrame()) - getPaletteLayerTimelineRange(layerIndex).outFrame);
+        });
+        return;
+    case PALETTE_COMMAND_REAPPLY:
+        var userSettings = loadUserSettingsFromConfigFile();
+        try {
+            validateUserSettings(userSettings);
+        } catch(e) {
+            alert("The last-used settings can't be applied: " + e, ScriptName);
+            return;
+        }
+        showScriptActionSummary(runScriptActionAsHistoryStep(userSettings));
+        return;
+    }
+
+    // the rest move a point (or the whole layer) of every selected layer by the step
+    var stepInFrames = getPaletteStepInFrames(stepText);
+    if (stepInFrames == null)
+        return;
+    var historyStepName, moveFunc, direction;
+    switch (command) {
+    case PALETTE_COMMAND_NUDGE_LEFT:        historyStepName = "Nudge Left"; moveFunc = moveLayerRelative; direction = -1; break;
+    case PALETTE_COMMAND_NUDGE_RIGHT:       historyStepName = "Nudge Right"; moveFunc = moveLayerRelative; direction = 1; break;
+    case PALETTE_COMMAND_EXTEND_IN_POINT:   historyStepName = "Extend In Point"; moveFunc = moveLayerInPointRelative; direction = -1; break;
+    case PALETTE_COMMAND_SHRINK_IN_POINT:   historyStepName = "Shrink In Point"; moveFunc = moveLayerInPointRelative; direction = 1; break;
+    case PALETTE_COMMAND_SHRINK_OUT_POINT:  historyStepName = "Shrink Out Point"; moveFunc = moveLayerOutPointRelative; direction = -1; break;
+    case PALETTE_COMMAND_EXTEND_OUT_POINT:  historyStepName = "Extend Out Point"; moveFunc = moveLayerOutPointRelative; direction = 1; break;
+    default:
+        throw "Unknown palette command value of " + command;
+    }
+    changeSelectedLayersAsHistoryStep(historyStepName, function() {
+        moveFunc(0, stepInFrames * direction);
+    });
+}
+
+/**
+ * Entry point for the palette, run by Photoshop from the message openPalette() sends. Shows the
+ * palette and returns straight away; the palette stays open until the user closes it
+ * @return Palette window, which has to be kept referred to for it to stay open
+ */
+function paletteMain() {
+
+    var windowResource = "palette {  \
+        orientation: 'column', \
+        alignChildren: ['fill', 'top'],  \
+        margins:15, \
+        groupStep: Group { \
+            orientation: 'row', \
+            stStep: StaticText { text: 'Step:' }, \
+            etStep: EditText { text: '1f', characters: 8, justify: 'left'} \
+            stStepHint: StaticText { text: '(ex: 5f, 0.5s)' }, \
+        }, \
+        panelMove: Panel { \
+            orientation: 'row', \
+            margins:15, \
+            text: ' Move ', \
+            nudgeLeftButton: Button { text: '< Nudge' }, \
+            nudgeRightButton: Button { text: 'Nudge >' }, \
+        }, \
+        panelInPoint: Panel { \
+            orientation: 'row', \
+            margins:15, \
+            text: ' In Point ', \
+            inPointLeftButton: Button { text: '< Extend' }, \
+            inPointRightButton: Button { text: 'Shrink >' }, \
+            inPointToPlayheadButton: Button { text: 'To Playhead' }, \
+        }, \
+        panelOutPoint: Panel { \
+            orientation: 'row', \
+            margins:15, \
+            text: ' Out Point ', \
+            outPointLeftButton: Button { text: '< Shrink' }, \
+            outPointRightButton: Button { text: 'Extend >' }, \
+            outPointToPlayheadButton: Button { text: 'To Playhead' }, \
+        }, \
+        bottomGroup: Group { \
+            reapplyButton: Button { text: 'Re-apply Last Settings', alignment:['center', 'center'] }, \
+            closeButton: Button { text: 'Close', size: [120,24], alignment:['center', 'center'] }, \
+        }\
+    }"
+    var win = new Window(windowResource);
+    win.text = ScriptName + " " + ScriptVersion + " - Palette";
+
+    // each button sends its change to Photoshop, with the step as it's entered when the button is pressed
+    function addCommandButtonHandler(button, command) {
+        button.onClick = function() {
+            sendScriptToPhotoshop("runPaletteCommand(" + command + ", " + quoteJsonString(win.groupStep.etStep.text) + ");");
+        }
+    }
+    addCommandButtonHandler(win.panelMove.nudgeLeftButton, PALETTE_COMMAND_NUDGE_LEFT);
+    addCommandButtonHandler(win.panelMove.nudgeRightButton, PALETTE_COMMAND_NUDGE_RIGHT);
+    addCommandButtonHandler(win.panelInPoint.inPointLeftButton, PALETTE_COMMAND_EXTEND_IN_POINT);
+    addCommandButtonHandler(win.panelInPoint.inPointRightButton, PALETTE_COMMAND_SHRINK_IN_POINT);
+    addCommandButtonHandler(win.panelOutPoint.outPointLeftButton, PALETTE_COMMAND_SHRINK_OUT_POINT);
+    addCommandButtonHandler(win.panelOutPoint.outPointRightButton, PALETTE_COMMAND_EXTEND_OUT_POINT);
+    addCommandButtonHandler(win.panelInPoint.inPointToPlayheadButton, PALETTE_COMMAND_IN_POINT_TO_PLAYHEAD);
+    addCommandButtonHandler(win.panelOutPoint.outPointToPlayheadButton, PALETTE_COMMAND_OUT_POINT_TO_PLAYHEAD);
+    addCommandButtonHandler(win.bottomGroup.reapplyButton, PALETTE_COMMAND_REAPPLY);
+
+    win.bottomGroup.closeButton.onClick = function() {
+        win.close();
+    }
+
+    win.show();
+    return win;
+}
+
+
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+//
+// Scripting portion of script. Lets the script run without its dialog, either
+// from an Action (the settings are recorded into the Action's step through
+// app.playbackParameters when the script is run while recording) or from
+// another script, which loads this one with $.evalFile() after setting
+// TimelineLayerResizerLibraryMode = true and then calls runTimelineLayerResizer()
+//
+/////////////////////////////////////////////////////////////////////////////
+/////////////////////////////////////////////////////////////////////////////
+
+const PlaybackPresetFileKey = "presetFile"; // playbackParameters key for a preset file the other keys are applied over
+const PlaybackPresetNameKey = "presetName"; // playbackParameters key for a named preset the other keys are applied over
+
+/**
+ * Gets the reason the script can't run on the active document
+ * @return Description of the problem, or null if the script can run
+ */
+function getScriptPrerequisiteProblem() {
+    if (documents.length == 0)
+        return "There is no open document";
+    if (getTimelineKind() == TIMELINE_KIND_NONE)
+        return "This document doesn't have a timeline yet. Create a video timeline or frame animation in the Timeline panel (Window -> Timeline) first.";
+    // frame animation works on the selected animation frames, of which there's always at least one
+    if (getTimelineKind() != TIMELINE_KIND_FRAME_ANIMATION && getSelectedLayersIndexes(true).length == 0)
+        return "Before running this script please select which layers in your timeline you want to target.";
+    return null;
+}
+
+/**
+ * Validates user settings that didn't come from the dialog, with the same checks
+ * the dialog makes when the user presses Apply
+ * @param userSettings User settings object
+ * Throws a description of the problem (string) for invalid settings
+ */
+function validateUserSettings(userSettings) {
+
+    var defaultUserSettings = getDefaultUserSettings();
+    for (var prop in defaultUserSettings) {
+        if (typeof userSettings[prop] != typeof defaultUserSettings[prop] || (typeof userSettings[prop] == "number" && isNaN(userSettings[prop])))
+            throw "setting \"" + prop + "\" must be a " + typeof defaultUserSettings[prop];
+    }
+
+    function validateChoice(prop, maxValue) {
+        if (userSettings[prop] != Math.floor(userSettings[prop]) || userSettings[prop] < 0 || userSettings[prop] > maxValue)
+            throw "setting \"" + prop + "\" must be a whole number from 0 to " + maxValue;
+    }
+    validateChoice("durationMode", DURATION_MODE_TRIM_TO_PLAYHEAD);
+    validateChoice("relativeEdge", LAYER_EDGE_BOTH);
+    validateChoice("trimEdge", LAYER_EDGE_IN);
+    validateChoice("fitSpanTarget", FIT_SPAN_TARGET_DOCUMENT_END);
+    validateChoice("repositionLayers", REPOSITION_LAYERS_SYNC_TO_AUDIO);
+    validateChoice("staggerCurve", STAGGER_CURVE_EXPONENTIAL);
+    validateChoice("overlapTransition", OVERLAP_TRANSITION_FADE_WITH_WHITE);
+    validateChoice("layerOrder", LAYER_ORDER_RANDOM);
+    validateChoice("documentDuration", DOCUMENT_DURATION_FIT);
+    validateChoice("keyframeMode", KEYFRAMES_ANCHOR_NEAREST);
+    validateChoice("layerTimingMatchBy", LAYER_TIMING_MATCH_STACK_POSITION);
+    validateChoice("loopTarget", LOOP_TARGET_LENGTH);
+    validateChoice("loopDirection", LOOP_DIRECTION_PING_PONG);
+    validateChoice("layerNameTagsAfter", LAYER_NAME_TAGS_REWRITE);
+    validateChoice("groupHandling", GROUPS_AS_UNITS);
+    validateChoice("jitterFrames", Number.MAX_VALUE);
+    validateChoice("jitterSeed", Number.MAX_VALUE);
+    validateChoice("layerOrderSeed", Number.MAX_VALUE);
+    if (userSettings.repositionLayers == REPOSITION_LAYERS_STAGGER_BOTTOM_FIRST)
+        throw "setting \"repositionLayers\" value " + REPOSITION_LAYERS_STAGGER_BOTTOM_FIRST + " is no longer used";
+
+    var frameRateInfo;
+    try {
+        frameRateInfo = getFrameRateInfo(getActiveTimelineFrameRate());
+    } catch(e) {
+        throw "there is no video timeline or frame animation";
+    }
+    if (userSettings.durationMode == DURATION_MODE_SET && secondsAndFramesToFrames(userSettings.durationSeconds, userSettings.durationFrames, frameRateInfo) < 1)
+        throw "the duration must be at least one frame";
+    if (userSettings.durationMode == DURATION_MODE_SET && userSettings.durationRamp &&
+      secondsAndFramesToFrames(userSettings.durationRampEndSeconds, userSettings.durationRampEndFrames, frameRateInfo) < 1)
+        throw "the ramp duration must be at least one frame";
+    if (userSettings.durationMode == DURATION_MODE_SCALE && !(userSettings.scalePercent > 0))
+        throw "the scale percentage must be greater than 0";
+    if ((userSettings.durationMode == DURATION_MODE_KEEP_EXISTING || userSettings.durationMode == DURATION_MODE_FIT_SPAN) &&
+      userSettings.repositionLayers == REPOSITION_LAYERS_NONE)
+        throw "the selected duration mode requires the layers to be repositioned";
+    if (userSettings.loopLayers && userSettings.loopTarget == LOOP_TARGET_LENGTH &&
+      secondsAndFramesToFrames(userSettings.loopLengthSeconds, userSettings.loopLengthFrames, frameRateInfo) < 1)
+        throw "the loop length must be at least one frame";
+    if (userSettings.repositionLayers == REPOSITION_LAYERS_SYNC_TO_AUDIO) {
+        if (!new File(userSettings.audioFilePath).exists)
+            throw "the audio file \"" + userSettings.audioFilePath + "\" doesn't exist";
+        if (userSettings.beatEveryN < 1 || userSettings.beatEveryN != Math.floor(userSettings.beatEveryN))
+            throw "setting \"beatEveryN\" must be a whole number of at least 1";
+    }
+}
+
+/**
+ * Converts user settings to an action descriptor, for recording into an Action
+ * @param userSettings User settings object
+ * @return ActionDescriptor with a key for each setting
+ */
+function userSettingsToDescriptor(userSettings) {
+    var desc = new ActionDescriptor();
+    for (var prop in userSettings) {
+        switch (typeof userSettings[prop]) {
+        case "number":
+            desc.putDouble(stringIDToTypeID(prop), userSettings[prop]);
+            break;
+        case "boolean":
+            desc.putBoolean(stringIDToTypeID(prop), userSettings[prop]);
+            break;
+        default:
+            desc.putString(stringIDToTypeID(prop), String(userSettings[prop]));
+            break;
+        }
+    }
+    return desc;
+}
+
+/**
+ * Converts an action descriptor recorded by userSettingsToDescriptor() back to user settings.
+ * If the descriptor has a preset file or preset name key then the settings start from that
+ * preset, otherwise from the defaults, and any settings in the descriptor are applied over them
+ * @param desc ActionDescriptor, normally app.playbackParameters
+ * @return User settings object. Throws a description of the problem (string) if the preset can't be found
+ */
+function userSettingsFromDescriptor(desc) {
+    var userSettings;
+    if (desc.hasKey(stringIDToTypeID(PlaybackPresetFileKey)))
+        userSettings = loadUserSettingsFromFile(new File(desc.getString(stringIDToTypeID(PlaybackPresetFileKey))));
+    else if (desc.hasKey(stringIDToTypeID(PlaybackPresetNameKey))) {
+        var store = loadPresetStore();
+        var presetIndex = findPreset(store, desc.getString(stringIDToTypeID(PlaybackPresetNameKey)));
+        if (presetIndex == -1)
+            throw "there is no preset named \"" + desc.getString(stringIDToTypeID(PlaybackPresetNameKey)) + "\"";
+        userSettings = store.presets[presetIndex].settings;
+    } else
+        userSettings = getDefaultUserSettings();
+    for (var prop in userSettings) {
+        var key = stringIDToTypeID(prop);
+        if (!desc.hasKey(key))
+            continue;
+        switch (typeof userSettings[prop]) {
+        case "number":
+            userSettings[prop] = desc.getDouble(key);
+            break;
+        case "boolean":
+            userSettings[prop] = desc.getBoolean(key);
+            break;
+        default:
+            userSettings[prop] = desc.getString(key);
+            break;
+        }
+    }
+    return upgradeUserSettings(userSettings, userSettings.dataVersion);
 }
 
+/**
+ * Runs the script without its dialog, for use by other scripts. The changes are made
+ * as a single history step, the same as when the script is run from its dialog
+ * @param settings Either an object with the settings to use, where any setting not
+ *  included takes its default value (see getDefaultUserSettings() for the names),
+ *  or a presets file (File object or path) exported from the dialog, whose first preset is used
+ * @return Result object describing which layers were changed (see scriptActionMain)
+ * Throws a description of the problem (string) if the script can't run with the settings
+ */
+function runTimelineLayerResizer(settings) {
+
+    var problem = getScriptPrerequisiteProblem();
+    if (problem != null)
+        throw problem;
+
+    var userSettings;
+    if (settings instanceof File || typeof settings == "string")
+        userSettings = loadUserSettingsFromFile(settings instanceof File ? settings : new File(settings));
+    else {
+        userSettings = getDefaultUserSettings();
+        for (var prop in settings) {
+            if (!(prop in userSettings))
+                throw "unknown setting \"" + prop + "\"";
+            userSettings[prop] = settings[prop];
+        }
+    }
+    validateUserSettings(userSettings);
+
+    return runScriptActionAsHistoryStep(userSettings);
+}
 
 
 /**
@@ -528,21 +5699,48 @@ function uiMain() {
 (function main() {
 
     var userSettings;
+    var fInteractive = true; // false when played back from an Action without the dialog, where only a failure is reported, by stopping the Action
+
+    // other scripts that load this one to call runTimelineLayerResizer() set this beforehand
+    if (typeof TimelineLayerResizerLibraryMode != "undefined" && TimelineLayerResizerLibraryMode)
+        return;
 
     //
     // make sure the user has a document open and at least one layer is selected
     //
-    if (documents.length == 0) {
-        alert("There is no open document", ScriptName);
-        return;
-    }
-    if (getSelectedLayersIndexes(true).length == 0) {
-        alert("Before running this script please select which layers in your timeline you want to target.", ScriptName);
+    var problem = getScriptPrerequisiteProblem();
+    if (problem != null) {
+        alert(problem, ScriptName);
         return;
     }
 
-    userSettings = uiMain();
-    if (userSettings != null)
-        app.activeDocument.suspendHistory(ScriptName + " (script)", "scriptActionMain(userSettings)");
+    if (app.playbackParameters.count > 0) {
+        // played back from an Action, with the settings recorded into the Action's step (or
+        // written there by hand). the dialog is only shown if the step's dialog toggle is on
+        try {
+            userSettings = userSettingsFromDescriptor(app.playbackParameters);
+            if (app.playbackDisplayDialogs != DialogModes.ALL)
+                validateUserSettings(userSettings);
+        } catch(e) {
+            alert("The settings recorded in the Action are invalid: " + e, ScriptName);
+            return;
+        }
+        if (app.playbackDisplayDialogs == DialogModes.ALL)
+            userSettings = uiMain(userSettings);
+        else
+            fInteractive = false;
+    } else
+        userSettings = uiMain(loadUserSettingsFromConfigFile());
+
+    if (userSettings != null) {
+        var result = runScriptActionAsHistoryStep(userSettings);
+        if (fInteractive)
+            showScriptActionSummary(result);
+        // record the settings used, so that an Action being recorded replays with them
+        app.playbackParameters = userSettingsToDescriptor(userSettings);
+        // an error stops the Action and Photoshop shows it, rather than the Action carrying on as if the layers were changed
+        if (!fInteractive && isScriptActionFailure(result))
+            throw new Error(getScriptActionSummary(result));
+    }
     return;
 })();